@@ -0,0 +1,77 @@
+// Resolves the free-text district/upazila on existing users and donation
+// requests to the bundled dataset and stores canonical names and ids.
+// Documents that cannot be resolved are listed and left as they are.
+// Usage: npm run migrate:locations [-- --dry-run]
+require("dotenv").config();
+
+const { client, getDb } = require("../utils/db");
+const {
+  resolveLocation,
+  USER_LOCATION_FIELDS,
+  REQUEST_LOCATION_FIELDS,
+} = require("../utils/locations");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const backfill = async (collection, fields) => {
+  const summary = { updated: 0, unresolved: [] };
+  const cursor = collection.find({
+    [fields.district]: { $nin: [null, ""] },
+    [fields.districtId]: null,
+  });
+
+  for await (const doc of cursor) {
+    const { district, upazila, error } = resolveLocation(
+      doc[fields.district],
+      doc[fields.upazila],
+      fields
+    );
+    if (error) {
+      summary.unresolved.push({
+        _id: doc._id,
+        [fields.district]: doc[fields.district],
+        [fields.upazila]: doc[fields.upazila],
+      });
+      continue;
+    }
+    if (!dryRun) {
+      await collection.updateOne(
+        { _id: doc._id },
+        {
+          $set: {
+            [fields.district]: district.name,
+            [fields.districtId]: district.id,
+            [fields.upazila]: upazila.name,
+            [fields.upazilaId]: upazila.id,
+          },
+        }
+      );
+    }
+    summary.updated++;
+  }
+  return summary;
+};
+
+const main = async () => {
+  const db = getDb();
+  const users = await backfill(db.collection("users"), USER_LOCATION_FIELDS);
+  const requests = await backfill(
+    db.collection("donationRequests"),
+    REQUEST_LOCATION_FIELDS
+  );
+
+  for (const [name, summary] of Object.entries({ users, requests })) {
+    console.log(
+      `${dryRun ? "Would update" : "Updated"} ${summary.updated} ${name}, ` +
+        `${summary.unresolved.length} unresolved`
+    );
+    summary.unresolved.forEach((doc) => console.log("  ", doc));
+  }
+};
+
+main()
+  .catch((err) => {
+    console.error("Location backfill failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => client.close());
@@ -0,0 +1,75 @@
+// Gives every user with a Firebase account the role claims the API reads
+// from tokens, and clears them for blocked and deleted users. Users already
+// up to date are skipped. The claims are also recorded on the user as
+// roleClaims, which the API compares against before writing them again.
+// Each user's claims take effect the next time their ID token refreshes.
+// Usage: npm run migrate:claims [-- --dry-run]
+require("dotenv").config();
+
+const { client, getDb } = require("../utils/db");
+const { admin } = require("../utils/firebase");
+const { roleClaimsFor, sameClaims } = require("../services/accounts");
+
+const dryRun = process.argv.includes("--dry-run");
+// getUsers() takes at most 100 identifiers per call
+const BATCH_SIZE = 100;
+
+const backfillBatch = async (usersCollection, users, summary) => {
+  const { users: records } = await admin
+    .auth()
+    .getUsers(users.map((user) => ({ uid: user.uid })));
+  const byUid = new Map(records.map((record) => [record.uid, record]));
+
+  for (const user of users) {
+    const record = byUid.get(user.uid);
+    if (!record) {
+      summary.missing.push({ _id: user._id, email: user.email });
+      continue;
+    }
+    const active = user.status !== "blocked" && !user.deletedAt;
+    const claims = active ? roleClaimsFor(user) : null;
+    if (!dryRun && !sameClaims(user.roleClaims, claims)) {
+      await usersCollection.updateOne(
+        { _id: user._id },
+        { $set: { roleClaims: claims } }
+      );
+    }
+    if (sameClaims(record.customClaims, claims)) {
+      summary.unchanged++;
+      continue;
+    }
+    if (!dryRun) await admin.auth().setCustomUserClaims(user.uid, claims);
+    summary[active ? "updated" : "cleared"]++;
+  }
+};
+
+const main = async () => {
+  const summary = { updated: 0, cleared: 0, unchanged: 0, missing: [] };
+  const usersCollection = getDb().collection("users");
+  const cursor = usersCollection.find({ uid: { $type: "string" } });
+
+  let batch = [];
+  for await (const user of cursor) {
+    batch.push(user);
+    if (batch.length === BATCH_SIZE) {
+      await backfillBatch(usersCollection, batch, summary);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) await backfillBatch(usersCollection, batch, summary);
+
+  console.log(
+    `${dryRun ? "Would set" : "Set"} claims for ${summary.updated} users, ` +
+      `${dryRun ? "would clear" : "cleared"} ${summary.cleared}, ` +
+      `${summary.unchanged} already up to date`
+  );
+  console.log(`${summary.missing.length} users have no Firebase account`);
+  summary.missing.forEach((user) => console.log("  ", user));
+};
+
+main()
+  .catch((err) => {
+    console.error("Role claims backfill failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => client.close());
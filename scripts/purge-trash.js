@@ -0,0 +1,40 @@
+// Permanently deletes everything that has been in the trash (requests,
+// blogs, users, blood banks, campaigns) longer than TRASH_RETENTION_DAYS
+// (default 30).
+// Usage: npm run jobs:purge-trash [-- --days=60]
+require("dotenv").config();
+
+const { client, getDb } = require("../utils/db");
+const { purgeTrash } = require("../services/trash");
+
+const daysArg = process.argv.find((arg) => arg.startsWith("--days="));
+
+const main = async () => {
+  const db = getDb();
+  const options = {};
+  if (daysArg) {
+    const days = parseInt(daysArg.split("=")[1]);
+    if (!(days >= 0)) throw new Error(`Invalid ${daysArg}`);
+    options.retentionDays = days;
+  }
+
+  const summary = await purgeTrash(
+    {
+      donationRequestsCollection: db.collection("donationRequests"),
+      blogsCollection: db.collection("blogs"),
+      blogRevisionsCollection: db.collection("blogRevisions"),
+      usersCollection: db.collection("users"),
+      bloodBanksCollection: db.collection("bloodBanks"),
+      campaignsCollection: db.collection("campaigns"),
+    },
+    options
+  );
+  console.log("✅ Trash purged:", summary);
+};
+
+main()
+  .catch((err) => {
+    console.error("Trash purge failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => client.close());
@@ -0,0 +1,40 @@
+// Runs one pass of the donation request maintenance job and exits.
+// Usage: npm run jobs:requests   (e.g. from cron every 15 minutes)
+require("dotenv").config();
+
+const { client, getDb } = require("../utils/db");
+const {
+  onRequestEvent,
+  flushRequestEvents,
+} = require("../services/requestEvents");
+const {
+  createNotificationService,
+  registerNotificationListeners,
+} = require("../services/notifications");
+const { runRequestMaintenance } = require("../services/requestMaintenance");
+
+const main = async () => {
+  const db = getDb();
+  const usersCollection = db.collection("users");
+  const notifications = createNotificationService({
+    notificationsCollection: db.collection("notifications"),
+    usersCollection,
+    findUrgentDonors: async () => [],
+  });
+  registerNotificationListeners(notifications, onRequestEvent);
+
+  const summary = await runRequestMaintenance({
+    donationRequestsCollection: db.collection("donationRequests"),
+    usersCollection,
+    notifications,
+  });
+  await flushRequestEvents();
+  console.log("✅ Request maintenance done:", summary);
+};
+
+main()
+  .catch((err) => {
+    console.error("Request maintenance failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => client.close());
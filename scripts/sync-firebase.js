@@ -0,0 +1,69 @@
+// Brings users in line with their Firebase accounts: follows email changes,
+// blocks accounts disabled in Firebase and revokes custom claims still held
+// by blocked users. Users whose Firebase account no longer exists are
+// listed and left as they are.
+// Usage: npm run sync:firebase [-- --dry-run]
+require("dotenv").config();
+
+const { client, getDb } = require("../utils/db");
+const { admin } = require("../utils/firebase");
+const { createAccountService } = require("../services/accounts");
+
+const dryRun = process.argv.includes("--dry-run");
+
+const main = async () => {
+  const db = getDb();
+  const usersCollection = db.collection("users");
+  const accounts = createAccountService({
+    auth: admin.auth(),
+    usersCollection,
+    donationRequestsCollection: db.collection("donationRequests"),
+    donationsCollection: db.collection("donations"),
+    fundingsCollection: db.collection("fundings"),
+    subscriptionsCollection: db.collection("subscriptions"),
+    notificationsCollection: db.collection("notifications"),
+    bloodBanksCollection: db.collection("bloodBanks"),
+    blogsCollection: db.collection("blogs"),
+    blogRevisionsCollection: db.collection("blogRevisions"),
+  });
+
+  const counts = { checked: 0, email: 0, blocked: 0, claimsRevoked: 0 };
+  const seen = new Set();
+  let pageToken;
+  do {
+    const page = await admin.auth().listUsers(1000, pageToken);
+    for (const record of page.users) {
+      seen.add(record.uid);
+      counts.checked++;
+      const changes = await accounts.syncFirebaseUser(record, { dryRun });
+      changes.forEach((change) => counts[change]++);
+      if (changes.length > 0) {
+        console.log(`  ${record.uid} (${record.email}): ${changes.join(", ")}`);
+      }
+    }
+    pageToken = page.pageToken;
+  } while (pageToken);
+
+  const missing = [];
+  for await (const user of usersCollection.find(
+    { uid: { $type: "string" }, deletedAt: null },
+    { projection: { uid: 1, email: 1 } }
+  )) {
+    if (!seen.has(user.uid)) missing.push(user);
+  }
+
+  console.log(
+    `${dryRun ? "Would update" : "Updated"} from ${counts.checked} ` +
+      `Firebase accounts: ${counts.email} email changes, ${counts.blocked} ` +
+      `blocked, ${counts.claimsRevoked} claims revoked`
+  );
+  console.log(`${missing.length} users have no Firebase account`);
+  missing.forEach((user) => console.log("  ", user));
+};
+
+main()
+  .catch((err) => {
+    console.error("Firebase sync failed:", err);
+    process.exitCode = 1;
+  })
+  .finally(() => client.close());
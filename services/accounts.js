@@ -0,0 +1,260 @@
+const { ObjectId } = require("mongodb");
+
+const ANONYMOUS_NAME = "Deleted user";
+
+// Unique per account, and .invalid can never receive mail
+const anonymousEmail = (user) => `deleted-${user._id}@deleted.invalid`;
+
+// Every place a user's email is copied to: [collection, email field, name
+// field stored next to it]
+const EMAIL_REFERENCES = [
+  ["donationRequestsCollection", "requesterEmail", "requesterName"],
+  ["donationRequestsCollection", "donorEmail", "donorName"],
+  ["donationsCollection", "donorEmail", "donorName"],
+  ["fundingsCollection", "email", "name"],
+  ["subscriptionsCollection", "email", "name"],
+  ["notificationsCollection", "recipientEmail", null],
+  ["blogsCollection", "author.email", "author.name"],
+  ["blogRevisionsCollection", "editedBy", null],
+];
+
+// Custom claims authorize() trusts instead of loading the user document.
+// accountEmail lets it notice an email changed in Firebase since.
+const roleClaimsFor = (user) => ({
+  role: user.role || "donor",
+  userId: String(user._id),
+  accountEmail: user.email,
+});
+
+// Claims objects are small and flat; null and {} both mean "no claims"
+const sameClaims = (a, b) =>
+  JSON.stringify(Object.entries(a || {}).sort()) ===
+  JSON.stringify(Object.entries(b || {}).sort());
+
+// Account-level operations that touch every collection holding a user's
+// data: export, anonymization, email changes, role claims and Firebase
+// sync. `auth` is firebase-admin's auth().
+const createAccountService = ({ auth, ...collections }) => {
+  const {
+    usersCollection,
+    donationRequestsCollection,
+    donationsCollection,
+    fundingsCollection,
+    subscriptionsCollection,
+    notificationsCollection,
+    bloodBanksCollection,
+  } = collections;
+
+  // Rewrites `from` to `to` everywhere; `name` also replaces the copied
+  // display names when given
+  const replaceEmail = async (from, to, name) => {
+    for (const [collection, emailField, nameField] of EMAIL_REFERENCES) {
+      const set = { [emailField]: to };
+      if (name && nameField) set[nameField] = name;
+      await collections[collection].updateMany(
+        { [emailField]: from },
+        { $set: set }
+      );
+    }
+    const historyActor = { "statusHistory.$[entry].actor.email": to };
+    if (name) historyActor["statusHistory.$[entry].actor.name"] = name;
+    await donationRequestsCollection.updateMany(
+      { "statusHistory.actor.email": from },
+      { $set: historyActor },
+      { arrayFilters: [{ "entry.actor.email": from }] }
+    );
+    await bloodBanksCollection.updateMany(
+      { staffEmails: from },
+      { $set: { "staffEmails.$": to } }
+    );
+  };
+
+  // Everything we hold about the user, for GET /me/export
+  const exportAccount = async (user) => {
+    const { email } = user;
+    const [
+      requestsMade,
+      requestsClaimed,
+      donations,
+      fundings,
+      subscriptions,
+      notifications,
+    ] = await Promise.all([
+      donationRequestsCollection.find({ requesterEmail: email }).toArray(),
+      donationRequestsCollection.find({ donorEmail: email }).toArray(),
+      donationsCollection.find({ donorEmail: email }).toArray(),
+      fundingsCollection.find({ email }).toArray(),
+      subscriptionsCollection.find({ email }).toArray(),
+      notificationsCollection.find({ recipientEmail: email }).toArray(),
+    ]);
+    return {
+      exportedAt: new Date(),
+      profile: user,
+      donationRequests: { made: requestsMade, claimed: requestsClaimed },
+      donations,
+      fundings,
+      subscriptions,
+      notifications,
+    };
+  };
+
+  // Strips the user's personal data. Requests, donations and fundings stay
+  // for the records under a placeholder name and email; the user document
+  // keeps only what the stats need and goes to the trash.
+  const anonymizeAccount = async (user, now = new Date()) => {
+    const email = anonymousEmail(user);
+    await notificationsCollection.deleteMany({ recipientEmail: user.email });
+    await bloodBanksCollection.updateMany(
+      { staffEmails: user.email },
+      { $pull: { staffEmails: user.email } }
+    );
+    await replaceEmail(user.email, email, ANONYMOUS_NAME);
+    await usersCollection.replaceOne(
+      { _id: user._id },
+      {
+        uid: null,
+        email,
+        name: ANONYMOUS_NAME,
+        role: user.role,
+        status: user.status,
+        bloodGroup: user.bloodGroup || "",
+        totalDonations: user.totalDonations || 0,
+        createdAt: user.createdAt,
+        updatedAt: now,
+        anonymizedAt: now,
+        deletedAt: now,
+        deletedBy: email,
+      }
+    );
+    return email;
+  };
+
+  // Follows an email change made in Firebase. Resolves to the updated user,
+  // or null when another account already uses the new email.
+  const changeEmail = async (user, newEmail) => {
+    const taken = await usersCollection.findOne({ email: newEmail });
+    if (taken) return null;
+    await replaceEmail(user.email, newEmail);
+    const updated = await usersCollection.findOneAndUpdate(
+      { _id: user._id },
+      {
+        $set: { email: newEmail, updatedAt: new Date() },
+        $push: {
+          previousEmails: { email: user.email, changedAt: new Date() },
+        },
+      },
+      { returnDocument: "after" }
+    );
+    await syncRoleClaims(updated);
+    return updated;
+  };
+
+  const revokeTokens = (uid) => auth.revokeRefreshTokens(uid);
+
+  // Whether a decoded ID token carries claims authorize() can use without
+  // loading the user. Revocations are checked by the caller where needed.
+  const hasCurrentClaims = (token) =>
+    !!token.role &&
+    ObjectId.isValid(token.userId) &&
+    token.accountEmail === token.email;
+
+  // The claims last written to Firebase are kept on the user as roleClaims,
+  // so they are only written again when they change
+  const recordClaims = (user, claims) =>
+    usersCollection.updateOne(
+      { _id: user._id },
+      { $set: { roleClaims: claims } }
+    );
+
+  const ignoreMissingAccount = (err) => {
+    if (err.code === "auth/user-not-found") return false;
+    throw err;
+  };
+
+  // Drops the user's custom claims and signs them out of every device.
+  // Resolves to false when there is no Firebase account to revoke.
+  const revokeFirebaseAccess = async (user) => {
+    if (!user.uid) return false;
+    try {
+      await auth.setCustomUserClaims(user.uid, null);
+      await recordClaims(user, null);
+      await revokeTokens(user.uid);
+      return true;
+    } catch (err) {
+      return ignoreMissingAccount(err);
+    }
+  };
+
+  // Puts the user's current role in their Firebase token; blocked and
+  // deleted users get none. With revoke, every session has to sign in again
+  // to pick the new role up (used when a role is taken away or changed).
+  // Claims the user already has are not written again.
+  const syncRoleClaims = async (user, { revoke = false } = {}) => {
+    if (!user.uid) return false;
+    if (user.status === "blocked" || user.deletedAt) {
+      return revokeFirebaseAccess(user);
+    }
+    const claims = roleClaimsFor(user);
+    if (!revoke && sameClaims(user.roleClaims, claims)) return true;
+    try {
+      await auth.setCustomUserClaims(user.uid, claims);
+      await recordClaims(user, claims);
+      if (revoke) await revokeTokens(user.uid);
+      return true;
+    } catch (err) {
+      return ignoreMissingAccount(err);
+    }
+  };
+
+  // Brings a Mongo user in line with their Firebase account record and
+  // lists what changed (or would change with dryRun): "email", "blocked"
+  // for accounts disabled in Firebase, "claimsRevoked" for blocked users
+  // who still had custom claims.
+  const syncFirebaseUser = async (record, { dryRun = false } = {}) => {
+    const user = await usersCollection.findOne({
+      uid: record.uid,
+      deletedAt: null,
+    });
+    if (!user) return [];
+
+    const changes = [];
+    if (record.email && record.email !== user.email) changes.push("email");
+    if (record.disabled && user.status !== "blocked") changes.push("blocked");
+    const hasClaims = Object.keys(record.customClaims || {}).length > 0;
+    if ((record.disabled || user.status === "blocked") && hasClaims) {
+      changes.push("claimsRevoked");
+    }
+    if (dryRun) return changes;
+
+    if (changes.includes("email")) {
+      const updated = await changeEmail(user, record.email);
+      if (!updated) changes.splice(changes.indexOf("email"), 1);
+    }
+    if (changes.includes("blocked")) {
+      await usersCollection.updateOne(
+        { _id: user._id },
+        {
+          $set: {
+            status: "blocked",
+            blockedReason: "Firebase account disabled",
+            updatedAt: new Date(),
+          },
+        }
+      );
+    }
+    if (changes.includes("claimsRevoked")) await revokeFirebaseAccess(user);
+    return changes;
+  };
+
+  return {
+    exportAccount,
+    anonymizeAccount,
+    changeEmail,
+    revokeFirebaseAccess,
+    syncRoleClaims,
+    hasCurrentClaims,
+    syncFirebaseUser,
+  };
+};
+
+module.exports = { createAccountService, roleClaimsFor, sameClaims };
@@ -0,0 +1,38 @@
+const { diffDocuments } = require("../utils/diff");
+
+// Express resolves req.ip through the proxies set in "trust proxy"; the
+// raw x-forwarded-for header is whatever the client chose to send
+const clientIp = (req) => req.ip || null;
+
+// Records privileged mutations in the auditLogs collection. A failed write
+// is logged but never fails the request that triggered it.
+const createAuditLog = (auditLogsCollection) => {
+  const record = async (
+    req,
+    { action, targetType, targetId, before = null, after = null, note }
+  ) => {
+    const actor = req.dbUser || {};
+    try {
+      await auditLogsCollection.insertOne({
+        actor: {
+          email: actor.email || req.firebaseUser?.email || null,
+          name: actor.name || null,
+          role: actor.role || null,
+        },
+        action,
+        target: { type: targetType, id: targetId ? String(targetId) : null },
+        changes: diffDocuments(before, after),
+        note: note || null,
+        ip: clientIp(req),
+        userAgent: req.headers?.["user-agent"] || null,
+        createdAt: new Date(),
+      });
+    } catch (err) {
+      console.error(`Audit log error (${action}):`, err);
+    }
+  };
+
+  return { record };
+};
+
+module.exports = { createAuditLog };
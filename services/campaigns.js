@@ -0,0 +1,86 @@
+const {
+  COUNTED_FUNDINGS,
+  NET_AMOUNT,
+  LEGACY_CURRENCY,
+} = require("../utils/fundings");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// A campaign takes money until its deadline passes
+const isCampaignOpen = (campaign, now = new Date()) =>
+  !campaign.deletedAt && new Date(campaign.deadline) >= now;
+
+// Raised amount and funders per campaign: Map of campaign id -> progress
+const getCampaignProgress = async (fundingsCollection, campaignIds) => {
+  const rows = await fundingsCollection
+    .aggregate([
+      { $match: { ...COUNTED_FUNDINGS, campaignId: { $in: campaignIds } } },
+      {
+        $group: {
+          _id: "$campaignId",
+          raised: { $sum: NET_AMOUNT },
+          fundingCount: { $sum: 1 },
+          funders: { $addToSet: "$email" },
+          lastFundedAt: { $max: "$createdAt" },
+        },
+      },
+    ])
+    .toArray();
+
+  return new Map(
+    rows.map((row) => [
+      String(row._id),
+      {
+        raised: row.raised,
+        fundingCount: row.fundingCount,
+        funderCount: row.funders.length,
+        lastFundedAt: row.lastFundedAt,
+      },
+    ])
+  );
+};
+
+// Raised vs goal for display; campaigns nobody funded yet show zeros
+const describeProgress = (campaign, progress = {}, now = new Date()) => {
+  const raised = round2(progress.raised || 0);
+  const goal = campaign.goalAmount;
+  const msLeft = new Date(campaign.deadline).getTime() - now.getTime();
+  return {
+    raised,
+    goal,
+    currency: campaign.currency || LEGACY_CURRENCY,
+    remaining: round2(Math.max(goal - raised, 0)),
+    percent: Math.min(Math.round((raised / goal) * 1000) / 10, 100),
+    fundingCount: progress.fundingCount || 0,
+    funderCount: progress.funderCount || 0,
+    lastFundedAt: progress.lastFundedAt || null,
+    daysLeft: Math.max(Math.ceil(msLeft / DAY_MS), 0),
+    open: isCampaignOpen(campaign, now),
+  };
+};
+
+// Campaign documents with a `progress` field, in one aggregation
+const withProgress = async (fundingsCollection, campaigns) => {
+  const progress = await getCampaignProgress(
+    fundingsCollection,
+    campaigns.map((campaign) => campaign._id)
+  );
+  const now = new Date();
+  return campaigns.map((campaign) => ({
+    ...campaign,
+    progress: describeProgress(
+      campaign,
+      progress.get(String(campaign._id)),
+      now
+    ),
+  }));
+};
+
+module.exports = {
+  isCampaignOpen,
+  getCampaignProgress,
+  describeProgress,
+  withProgress,
+};
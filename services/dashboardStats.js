@@ -0,0 +1,234 @@
+const {
+  COUNTED_FUNDINGS,
+  NET_AMOUNT,
+  CURRENCY,
+  DEFAULT_CURRENCY,
+} = require("../utils/fundings");
+const { NOT_DELETED } = require("../utils/softDelete");
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// [{ _id: "a", count: 2 }] -> { a: 2 }; missing values are grouped as "unknown"
+const toCounts = (groups) =>
+  Object.fromEntries(groups.map((g) => [g._id || "unknown", g.count]));
+
+const countBy = (field) => [
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1 } },
+];
+
+// Numbers volunteers and admins both need to run day-to-day operations
+const getOperationalStats = async (
+  { usersCollection, donationRequestsCollection },
+  { weeks = 12, now = new Date() } = {}
+) => {
+  const since = new Date(now.getTime() - weeks * WEEK_MS);
+
+  const [users] = await usersCollection
+    .aggregate([
+      { $match: NOT_DELETED },
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          byRole: countBy("role"),
+          byStatus: countBy("status"),
+          byBloodGroup: countBy("bloodGroup"),
+          byDistrict: countBy("district"),
+        },
+      },
+    ])
+    .toArray();
+
+  const [requests] = await donationRequestsCollection
+    .aggregate([
+      { $match: NOT_DELETED },
+      {
+        $facet: {
+          total: [{ $count: "count" }],
+          byStatus: countBy("status"),
+          byBloodGroup: countBy("bloodGroup"),
+          createdPerWeek: [
+            { $match: { createdAt: { $gte: since } } },
+            {
+              $group: {
+                _id: { $dateTrunc: { date: "$createdAt", unit: "week" } },
+                count: { $sum: 1 },
+              },
+            },
+          ],
+          fulfilledPerWeek: [
+            { $unwind: "$statusHistory" },
+            {
+              $match: {
+                "statusHistory.to": "done",
+                "statusHistory.changedAt": { $gte: since },
+              },
+            },
+            {
+              $group: {
+                _id: {
+                  $dateTrunc: {
+                    date: "$statusHistory.changedAt",
+                    unit: "week",
+                  },
+                },
+                count: { $sum: 1 },
+              },
+            },
+          ],
+          timeToDone: [
+            { $match: { status: "done" } },
+            { $unwind: "$statusHistory" },
+            { $match: { "statusHistory.to": "done" } },
+            {
+              $group: {
+                _id: null,
+                averageMs: {
+                  $avg: {
+                    $subtract: ["$statusHistory.changedAt", "$createdAt"],
+                  },
+                },
+              },
+            },
+          ],
+          unfulfilledDistricts: [
+            { $match: { status: { $in: ["pending", "inprogress"] } } },
+            {
+              $group: {
+                _id: "$recipientDistrict",
+                count: { $sum: 1 },
+                pending: {
+                  $sum: { $cond: [{ $eq: ["$status", "pending"] }, 1, 0] },
+                },
+              },
+            },
+            { $sort: { count: -1 } },
+            { $limit: 10 },
+            {
+              $project: {
+                _id: 0,
+                district: { $ifNull: ["$_id", "unknown"] },
+                count: 1,
+                pending: 1,
+              },
+            },
+          ],
+        },
+      },
+    ])
+    .toArray();
+
+  // Merge both weekly series so every week shows created and fulfilled
+  const weekly = new Map();
+  const addWeek = (groups, key) => {
+    for (const { _id, count } of groups) {
+      const week = _id.toISOString();
+      const row = weekly.get(week) || { week: _id, created: 0, fulfilled: 0 };
+      row[key] = count;
+      weekly.set(week, row);
+    }
+  };
+  addWeek(requests.createdPerWeek, "created");
+  addWeek(requests.fulfilledPerWeek, "fulfilled");
+
+  const averageMs = requests.timeToDone[0]?.averageMs;
+
+  return {
+    totalUsers: users.total[0]?.count || 0,
+    totalRequests: requests.total[0]?.count || 0,
+    users: {
+      byRole: toCounts(users.byRole),
+      byStatus: toCounts(users.byStatus),
+      byBloodGroup: toCounts(users.byBloodGroup),
+      byDistrict: toCounts(users.byDistrict),
+    },
+    requests: {
+      byStatus: toCounts(requests.byStatus),
+      byBloodGroup: toCounts(requests.byBloodGroup),
+      weeklyTrend: [...weekly.values()].sort((a, b) => a.week - b.week),
+      averageHoursToDone:
+        averageMs === undefined
+          ? null
+          : Math.round((averageMs / 3600000) * 10) / 10,
+      topUnfulfilledDistricts: requests.unfulfilledDistricts,
+    },
+  };
+};
+
+const getFundingStats = async ({ fundingsCollection }) => {
+  const [result] = await fundingsCollection
+    .aggregate([
+      { $match: COUNTED_FUNDINGS },
+      {
+        $facet: {
+          totals: [
+            {
+              $group: {
+                _id: CURRENCY,
+                totalFunding: { $sum: NET_AMOUNT },
+                fundingCount: { $sum: 1 },
+              },
+            },
+          ],
+          // Fundings without a campaign went to the general fund, which
+          // gets one row per currency
+          byCampaign: [
+            {
+              $group: {
+                _id: {
+                  campaignId: { $ifNull: ["$campaignId", null] },
+                  currency: CURRENCY,
+                },
+                total: { $sum: NET_AMOUNT },
+                count: { $sum: 1 },
+              },
+            },
+            {
+              $lookup: {
+                from: "campaigns",
+                localField: "_id.campaignId",
+                foreignField: "_id",
+                as: "campaign",
+              },
+            },
+            { $sort: { total: -1 } },
+            {
+              $project: {
+                _id: 0,
+                campaignId: "$_id.campaignId",
+                currency: "$_id.currency",
+                title: { $first: "$campaign.title" },
+                goalAmount: { $first: "$campaign.goalAmount" },
+                total: 1,
+                count: 1,
+              },
+            },
+          ],
+        },
+      },
+    ])
+    .toArray();
+
+  // Headline numbers are in the default currency; the rest are per currency
+  const totals = result.totals.find((row) => row._id === DEFAULT_CURRENCY);
+  return {
+    totalFunding: totals?.totalFunding || 0,
+    fundingCount: totals?.fundingCount || 0,
+    currency: DEFAULT_CURRENCY,
+    fundingByCurrency: result.totals.map((row) => ({
+      currency: row._id,
+      total: row.totalFunding,
+      count: row.fundingCount,
+    })),
+    fundingByCampaign: result.byCampaign.map((row) => ({
+      ...row,
+      title: row.campaignId ? row.title || "Deleted campaign" : "General fund",
+      goalAmount: row.goalAmount ?? null,
+    })),
+  };
+};
+
+module.exports = {
+  getOperationalStats,
+  getFundingStats,
+};
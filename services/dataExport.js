@@ -0,0 +1,120 @@
+const { toCsvLine } = require("../utils/csv");
+
+// Columns per dataset, in spreadsheet order: [header, field]
+const EXPORT_COLUMNS = {
+  users: [
+    ["id", "_id"],
+    ["name", "name"],
+    ["email", "email"],
+    ["phone", "phone"],
+    ["bloodGroup", "bloodGroup"],
+    ["district", "district"],
+    ["upazila", "upazila"],
+    ["districtId", "districtId"],
+    ["upazilaId", "upazilaId"],
+    ["role", "role"],
+    ["status", "status"],
+    ["lastDonationDate", "lastDonationDate"],
+    ["createdAt", "createdAt"],
+  ],
+  donationRequests: [
+    ["id", "_id"],
+    ["status", "status"],
+    ["urgent", "urgent"],
+    ["recipientName", "recipientName"],
+    ["bloodGroup", "bloodGroup"],
+    ["recipientDistrict", "recipientDistrict"],
+    ["recipientUpazila", "recipientUpazila"],
+    ["hospitalName", "hospitalName"],
+    ["fullAddress", "fullAddress"],
+    ["donationDate", "donationDate"],
+    ["donationTime", "donationTime"],
+    ["requesterName", "requesterName"],
+    ["requesterEmail", "requesterEmail"],
+    ["donorName", "donorName"],
+    ["donorEmail", "donorEmail"],
+    ["createdAt", "createdAt"],
+  ],
+  fundings: [
+    ["id", "_id"],
+    ["createdAt", "createdAt"],
+    ["paidAt", "paidAt"],
+    ["name", "name"],
+    ["email", "email"],
+    ["amount", "amount"],
+    ["amountRefunded", "amountRefunded"],
+    ["currency", "currency"],
+    ["status", "status"],
+    ["kind", "kind"],
+    ["campaignId", "campaignId"],
+    ["receiptNumber", "receiptNumber"],
+    ["paymentIntentId", "paymentIntentId"],
+    ["invoiceId", "invoiceId"],
+  ],
+};
+
+const EXPORT_FORMATS = ["csv", "json"];
+
+// ObjectIds and dates as plain strings so CSV and JSON match
+const plain = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object" && value._bsontype === "ObjectId") {
+    return value.toHexString();
+  }
+  return value;
+};
+
+// Resolves once the response can take more, so a big export never holds
+// more than one chunk in memory
+const write = (res, chunk) =>
+  res.write(chunk)
+    ? Promise.resolve()
+    : new Promise((resolve) => {
+        const done = () => {
+          res.off("drain", done);
+          res.off("close", done);
+          resolve();
+        };
+        res.on("drain", done);
+        res.on("close", done);
+      });
+
+// Streams every document from a Mongo cursor as a CSV or JSON download
+const streamExport = async (res, cursor, { columns, format, filename }) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res.attachment(`${filename}-${date}.${format}`);
+  res.type(format === "csv" ? "text/csv" : "application/json");
+
+  let count = 0;
+  try {
+    if (format === "csv") {
+      await write(res, toCsvLine(columns.map(([header]) => header)));
+    } else {
+      await write(res, "[");
+    }
+
+    for await (const doc of cursor) {
+      // The admin closed the tab; stop reading from the database
+      if (res.destroyed) break;
+      const values = columns.map(([, field]) => plain(doc[field]));
+      if (format === "csv") {
+        await write(res, toCsvLine(values));
+      } else {
+        const row = Object.fromEntries(
+          columns.map(([header], i) => [header, values[i]])
+        );
+        await write(res, `${count > 0 ? "," : ""}\n${JSON.stringify(row)}`);
+      }
+      count++;
+    }
+
+    if (format === "json") await write(res, "\n]\n");
+  } finally {
+    await cursor.close();
+  }
+  res.end();
+  return count;
+};
+
+module.exports = { EXPORT_COLUMNS, EXPORT_FORMATS, streamExport };
@@ -0,0 +1,154 @@
+const { parseCsv } = require("../utils/csv");
+const { validate } = require("../utils/validation");
+const { donorImportSchema } = require("../utils/schemas");
+const { DEFAULT_VISIBILITY } = require("../utils/privacy");
+const { resolveLocation, USER_LOCATION_FIELDS } = require("../utils/locations");
+
+const IMPORT_ROW_LIMIT = 2000;
+const DEFAULT_AVATAR = "https://i.ibb.co/4pDNDk1/avatar.png";
+
+// Sheet headers are matched ignoring case, spaces and underscores
+const HEADER_FIELDS = {
+  name: "name",
+  fullname: "name",
+  email: "email",
+  emailaddress: "email",
+  phone: "phone",
+  mobile: "phone",
+  phonenumber: "phone",
+  bloodgroup: "bloodGroup",
+  blood: "bloodGroup",
+  district: "district",
+  upazila: "upazila",
+  thana: "upazila",
+  lastdonationdate: "lastDonationDate",
+  lastdonation: "lastDonationDate",
+};
+
+const fieldForHeader = (header) =>
+  HEADER_FIELDS[header.toLowerCase().replace(/[\s_-]/g, "")] || null;
+
+// Checks every row of a donor CSV and, unless dryRun is set, creates
+// accounts for the valid ones. Invalid rows are reported by their line in
+// the sheet (the header is line 1) and never block the others. Imported
+// donors have no uid until they sign up with the same email.
+const importDonors = async (
+  { usersCollection },
+  csvText,
+  { dryRun = false, actor = null } = {}
+) => {
+  const [header = [], ...rows] = parseCsv(csvText);
+  const fields = header.map(fieldForHeader);
+  if (!fields.includes("email")) {
+    return { error: "The CSV needs a header row with an email column" };
+  }
+  if (rows.length === 0) return { error: "The CSV has no donor rows" };
+  if (rows.length > IMPORT_ROW_LIMIT) {
+    return { error: `Import at most ${IMPORT_ROW_LIMIT} rows at a time` };
+  }
+
+  const errors = [];
+  const candidates = [];
+  const seen = new Map();
+
+  rows.forEach((cells, index) => {
+    const row = index + 2;
+    const input = {};
+    fields.forEach((field, i) => {
+      if (field && cells[i] !== undefined) input[field] = cells[i];
+    });
+
+    const { value, errors: fieldErrors } = validate(donorImportSchema, input);
+    if (fieldErrors.length > 0) {
+      fieldErrors.forEach((error) => errors.push({ row, ...error }));
+      return;
+    }
+    const { district, upazila, error } = resolveLocation(
+      value.district,
+      value.upazila,
+      USER_LOCATION_FIELDS
+    );
+    if (error) {
+      errors.push({ row, ...error });
+      return;
+    }
+    if (seen.has(value.email)) {
+      errors.push({
+        row,
+        field: "email",
+        message: `email is repeated from row ${seen.get(value.email)}`,
+      });
+      return;
+    }
+    seen.set(value.email, row);
+
+    candidates.push({
+      row,
+      user: {
+        ...value,
+        district: district.name,
+        upazila: upazila.name,
+        districtId: district.id,
+        upazilaId: upazila.id,
+      },
+    });
+  });
+
+  // Deleted accounts count too: their email is still taken
+  const taken = new Set(
+    await usersCollection.distinct("email", {
+      email: { $in: candidates.map(({ user }) => user.email) },
+    })
+  );
+  const accepted = candidates.filter(({ row, user }) => {
+    if (!taken.has(user.email)) return true;
+    errors.push({
+      row,
+      field: "email",
+      message: "email is already registered",
+    });
+    return false;
+  });
+
+  let imported = 0;
+  if (!dryRun && accepted.length > 0) {
+    const now = new Date();
+    const result = await usersCollection.insertMany(
+      accepted.map(({ user }) => ({
+        uid: null,
+        email: user.email,
+        name: user.name,
+        avatar: DEFAULT_AVATAR,
+        phone: user.phone || "",
+        bloodGroup: user.bloodGroup,
+        district: user.district,
+        upazila: user.upazila,
+        districtId: user.districtId,
+        upazilaId: user.upazilaId,
+        lastDonationDate: user.lastDonationDate
+          ? new Date(user.lastDonationDate)
+          : null,
+        role: "donor",
+        status: "active",
+        visibility: DEFAULT_VISIBILITY,
+        importedAt: now,
+        importedBy: actor?.email || null,
+        createdAt: now,
+        updatedAt: now,
+      }))
+    );
+    imported = result.insertedCount;
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return {
+    dryRun,
+    rows: rows.length,
+    valid: accepted.length,
+    imported,
+    failed: rows.length - accepted.length,
+    errors,
+  };
+};
+
+module.exports = { importDonors };
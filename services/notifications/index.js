@@ -0,0 +1,178 @@
+const { NOT_DELETED } = require("../../utils/softDelete");
+const { createTransportsFromEnv } = require("./transports");
+
+const describe = (request) =>
+  `${request.bloodGroup} blood for ${request.recipientName} at ` +
+  `${request.hospitalName}, ${request.recipientUpazila}, ` +
+  `${request.recipientDistrict} on ${request.donationDate} ${request.donationTime}`;
+
+// Writes in-app notifications and fans them out to email/SMS transports.
+// findUrgentDonors(request) returns the donors to alert for urgent requests.
+const createNotificationService = ({
+  notificationsCollection,
+  usersCollection,
+  findUrgentDonors,
+  transports = createTransportsFromEnv(),
+}) => {
+  const transportsFor = (channel) =>
+    transports.filter((transport) => transport.channel === channel);
+
+  // users are user documents; SMS only goes out when sms is set and the
+  // user has a phone number on file.
+  const notifyUsers = async (users, notification, { sms = false } = {}) => {
+    if (users.length === 0) return;
+
+    const now = new Date();
+    await notificationsCollection.insertMany(
+      users.map((user) => ({
+        recipientEmail: user.email,
+        type: notification.type,
+        title: notification.title,
+        message: notification.message,
+        requestId: notification.requestId || null,
+        read: false,
+        createdAt: now,
+      }))
+    );
+
+    const deliveries = [];
+    for (const user of users) {
+      for (const transport of transportsFor("email")) {
+        deliveries.push(
+          transport.send({
+            to: user.email,
+            subject: notification.title,
+            text: notification.message,
+          })
+        );
+      }
+      if (sms && user.phone) {
+        for (const transport of transportsFor("sms")) {
+          deliveries.push(
+            transport.send({
+              to: user.phone,
+              subject: notification.title,
+              text: `${notification.title}: ${notification.message}`,
+            })
+          );
+        }
+      }
+    }
+
+    // One failed email should not stop the rest
+    const results = await Promise.allSettled(deliveries);
+    for (const result of results) {
+      if (result.status === "rejected") {
+        console.error("Notification delivery failed:", result.reason);
+      }
+    }
+  };
+
+  // Users with these emails, minus whoever triggered the event
+  const recipients = async (emails, actor) => {
+    const wanted = [...new Set(emails.filter(Boolean))].filter(
+      (email) => email !== actor?.email
+    );
+    if (wanted.length === 0) return [];
+    return usersCollection
+      .find({ email: { $in: wanted }, ...NOT_DELETED })
+      .toArray();
+  };
+
+  const onRequestCreated = async ({ request }) => {
+    const requester = await recipients([request.requesterEmail]);
+    await notifyUsers(requester, {
+      type: "request:created",
+      title: "Donation request posted",
+      message: `Your request for ${describe(request)} is live.`,
+      requestId: request._id,
+    });
+
+    if (request.urgent) {
+      const donors = await findUrgentDonors(request);
+      await notifyUsers(
+        donors,
+        {
+          type: "request:urgent",
+          title: `Urgent: ${request.bloodGroup} blood needed`,
+          message: `Someone near you needs ${describe(request)}. Can you help?`,
+          requestId: request._id,
+        },
+        { sms: true }
+      );
+    }
+  };
+
+  const onRequestClaimed = async ({ request, actor }) => {
+    const users = await recipients([request.requesterEmail], actor);
+    await notifyUsers(users, {
+      type: "request:claimed",
+      title: "A donor accepted your request",
+      message: `${request.donorName || "A donor"} will donate ${describe(
+        request
+      )}.`,
+      requestId: request._id,
+    });
+  };
+
+  const STATUS_MESSAGES = {
+    done: {
+      title: "Donation completed",
+      message: (request) => `The donation of ${describe(request)} is done.`,
+    },
+    canceled: {
+      title: "Donation request canceled",
+      message: (request) =>
+        `The request for ${describe(request)} was canceled.`,
+    },
+    pending: {
+      title: "Request is looking for a donor again",
+      message: (request) => `The donor stepped back from ${describe(request)}.`,
+    },
+    expired: {
+      title: "Donation request expired",
+      message: (request) =>
+        `The request for ${describe(
+          request
+        )} passed its date without a donation.`,
+    },
+    inprogress: {
+      title: "Donation request in progress",
+      message: (request) => `The request for ${describe(request)} is underway.`,
+    },
+  };
+
+  const onRequestStatusChanged = async ({ request, actor, to }) => {
+    const template = STATUS_MESSAGES[to];
+    if (!template) return;
+    const users = await recipients(
+      [request.requesterEmail, request.donorEmail],
+      actor
+    );
+    await notifyUsers(users, {
+      type: `request:${to}`,
+      title: template.title,
+      message: template.message(request),
+      requestId: request._id,
+    });
+  };
+
+  return {
+    notifyUsers,
+    onRequestCreated,
+    onRequestClaimed,
+    onRequestStatusChanged,
+  };
+};
+
+// Hooks the service up to the request event bus
+const registerNotificationListeners = (service, onRequestEvent) => {
+  onRequestEvent("request:created", service.onRequestCreated);
+  onRequestEvent("request:claimed", service.onRequestClaimed);
+  onRequestEvent("request:statusChanged", service.onRequestStatusChanged);
+};
+
+module.exports = {
+  createNotificationService,
+  registerNotificationListeners,
+};
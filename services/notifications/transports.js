@@ -0,0 +1,97 @@
+const fs = require("fs");
+
+// A transport delivers one message on one channel:
+//   { channel: "email" | "sms", name, send({ to, subject, text }) }
+
+const createSmtpTransport = ({ host, port, user, pass, from }) => {
+  // Loaded lazily so nodemailer is only needed when SMTP is configured
+  const nodemailer = require("nodemailer");
+  const mailer = nodemailer.createTransport({
+    host,
+    port: Number(port) || 587,
+    secure: Number(port) === 465,
+    auth: user ? { user, pass } : undefined,
+  });
+  return {
+    channel: "email",
+    name: "smtp",
+    send: ({ to, subject, text }) =>
+      mailer.sendMail({ from, to, subject, text }),
+  };
+};
+
+// Posts { to, message } as JSON to an SMS gateway
+const createSmsGatewayTransport = ({ url, apiKey, senderId }) => ({
+  channel: "sms",
+  name: "sms-gateway",
+  send: async ({ to, text }) => {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      },
+      body: JSON.stringify({ to, message: text, senderId }),
+    });
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded with ${response.status}`);
+    }
+  },
+});
+
+// Local stand-in: appends each message as a JSON line to a file, or logs it
+// when no file is given. For development and tests only: it writes out
+// recipients and message bodies.
+const createOutboxTransport = (channel, file) => ({
+  channel,
+  name: file ? "file" : "console",
+  send: async (message) => {
+    const entry = { channel, ...message, sentAt: new Date().toISOString() };
+    if (file) {
+      await fs.promises.appendFile(file, JSON.stringify(entry) + "\n");
+    } else {
+      console.log(`📨 [${channel}]`, entry);
+    }
+  },
+});
+
+// Without a real transport a channel stays off, unless a local outbox is
+// asked for: NOTIFY_OUTBOX_FILE, or NOTIFY_OUTBOX=console outside production
+const createFallbackTransport = (channel, env) => {
+  if (env.NOTIFY_OUTBOX_FILE) {
+    return createOutboxTransport(channel, env.NOTIFY_OUTBOX_FILE);
+  }
+  if (env.NOTIFY_OUTBOX === "console" && env.NODE_ENV !== "production") {
+    return createOutboxTransport(channel);
+  }
+  console.warn(`No ${channel} transport configured; ${channel} alerts are off`);
+  return null;
+};
+
+// Picks real transports when their settings are present
+const createTransportsFromEnv = (env = process.env) =>
+  [
+    env.SMTP_HOST
+      ? createSmtpTransport({
+          host: env.SMTP_HOST,
+          port: env.SMTP_PORT,
+          user: env.SMTP_USER,
+          pass: env.SMTP_PASSWORD,
+          from: env.MAIL_FROM || "Blood Bridge <no-reply@bloodbridge.app>",
+        })
+      : createFallbackTransport("email", env),
+    env.SMS_GATEWAY_URL
+      ? createSmsGatewayTransport({
+          url: env.SMS_GATEWAY_URL,
+          apiKey: env.SMS_GATEWAY_API_KEY,
+          senderId: env.SMS_SENDER_ID,
+        })
+      : createFallbackTransport("sms", env),
+  ].filter(Boolean);
+
+module.exports = {
+  createSmtpTransport,
+  createSmsGatewayTransport,
+  createOutboxTransport,
+  createTransportsFromEnv,
+};
@@ -0,0 +1,34 @@
+const { EventEmitter } = require("events");
+
+// In-process bus for donation request events. Route handlers emit, and
+// anything interested (notifications, live feeds) subscribes.
+//
+//   request:created        { request, actor }
+//   request:claimed        { request, actor }
+//   request:statusChanged  { request, actor, from, to, note }
+const requestEvents = new EventEmitter();
+requestEvents.setMaxListeners(0);
+
+// Listener runs still in flight, for flushRequestEvents()
+const pending = new Set();
+
+// Listeners are often async; make sure their failures get logged instead
+// of becoming unhandled rejections.
+const onRequestEvent = (name, listener) => {
+  requestEvents.on(name, (payload) => {
+    const run = Promise.resolve()
+      .then(() => listener(payload))
+      .catch((err) => console.error(`${name} listener error:`, err))
+      .finally(() => pending.delete(run));
+    pending.add(run);
+  });
+};
+
+// Resolves once every listener has finished, including ones started by
+// events the listeners emitted themselves. CLI jobs await this before
+// closing the database connection.
+const flushRequestEvents = async () => {
+  while (pending.size > 0) await Promise.all(pending);
+};
+
+module.exports = { requestEvents, onRequestEvent, flushRequestEvents };
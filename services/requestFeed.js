@@ -0,0 +1,124 @@
+const {
+  BLOOD_GROUPS,
+  getCompatibleDonorGroups,
+} = require("../utils/donorMatching");
+const { findDistrict, normalizeName } = require("../utils/locations");
+const { bloodGroupParam } = require("../utils/listQuery");
+
+// Bus event -> event name sent to feed clients
+const FEED_EVENTS = {
+  "request:created": "request.created",
+  "request:claimed": "request.claimed",
+  "request:statusChanged": "request.statusChanged",
+};
+
+// What a feed client sees of a request; contact details stay behind
+// GET /donation-requests/:id
+const FEED_FIELDS = [
+  "_id",
+  "recipientName",
+  "bloodGroup",
+  "recipientDistrict",
+  "recipientDistrictId",
+  "recipientUpazila",
+  "recipientUpazilaId",
+  "hospitalName",
+  "donationDate",
+  "donationTime",
+  "urgent",
+  "status",
+  "createdAt",
+];
+
+const pick = (doc, fields) =>
+  Object.fromEntries(
+    fields.filter((field) => doc[field] !== undefined).map((f) => [f, doc[f]])
+  );
+
+// ?bloodGroup=O-,A- and ?district=Dhaka (name, alias or id). With
+// ?compatible=1 a donor only gets requests their own group can give to.
+const parseFeedFilter = (query, user) => {
+  const filter = {};
+
+  const groups = String(query.bloodGroup || "")
+    .split(",")
+    .map(bloodGroupParam)
+    .filter((group) => BLOOD_GROUPS.includes(group));
+  if (groups.length > 0) filter.bloodGroups = groups;
+
+  if (query.compatible && BLOOD_GROUPS.includes(user?.bloodGroup)) {
+    filter.donorGroup = user.bloodGroup;
+  }
+
+  const district = findDistrict(query.district);
+  if (district) filter.districtId = district.id;
+  else if (query.district) filter.district = normalizeName(query.district);
+
+  return filter;
+};
+
+const matchesFeedFilter = (request, filter) => {
+  if (filter.bloodGroups && !filter.bloodGroups.includes(request.bloodGroup)) {
+    return false;
+  }
+  if (
+    filter.donorGroup &&
+    !getCompatibleDonorGroups(request.bloodGroup).includes(filter.donorGroup)
+  ) {
+    return false;
+  }
+  if (filter.districtId && request.recipientDistrictId !== filter.districtId) {
+    return false;
+  }
+  if (
+    filter.district &&
+    normalizeName(request.recipientDistrict) !== filter.district
+  ) {
+    return false;
+  }
+  return true;
+};
+
+// Fans request events out to connected clients. Each client is a filter
+// plus a send(event, data) callback; subscribe() returns its unsubscribe.
+const createRequestFeed = ({ onRequestEvent }) => {
+  const clients = new Set();
+  let sequence = 0;
+
+  for (const [busEvent, feedEvent] of Object.entries(FEED_EVENTS)) {
+    onRequestEvent(busEvent, ({ request, from, to }) => {
+      if (clients.size === 0) return;
+      const data = { request: pick(request, FEED_FIELDS) };
+      if (from !== undefined) Object.assign(data, { from, to });
+      const id = ++sequence;
+
+      for (const client of clients) {
+        if (!matchesFeedFilter(request, client.filter)) continue;
+        // A broken connection must not stop delivery to the others
+        try {
+          client.send(feedEvent, data, id);
+        } catch (err) {
+          console.error("Request feed send error:", err);
+        }
+      }
+    });
+  }
+
+  return {
+    subscribe(filter, send) {
+      const client = { filter, send };
+      clients.add(client);
+      return () => clients.delete(client);
+    },
+    get size() {
+      return clients.size;
+    },
+  };
+};
+
+module.exports = {
+  FEED_EVENTS,
+  parseFeedFilter,
+  matchesFeedFilter,
+  createRequestFeed,
+};
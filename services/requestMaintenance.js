@@ -0,0 +1,189 @@
+const { buildHistoryEntry, SYSTEM_ACTOR } = require("../utils/donationStatus");
+const { NOT_DELETED } = require("../utils/softDelete");
+const { requestEvents } = require("./requestEvents");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Clients send donationDate/donationTime as local Bangladesh time
+const TIMEZONE_OFFSET = process.env.REQUEST_TIMEZONE_OFFSET || "+06:00";
+const REMINDER_HOURS = parseInt(process.env.REMINDER_HOURS_BEFORE) || 24;
+const OVERDUE_HOURS = parseInt(process.env.OVERDUE_HOURS_AFTER) || 24;
+
+// When the donation is due, or null if the request has no usable date.
+// A missing time counts as the end of the day.
+const donationDueAt = (request) => {
+  const date = String(request.donationDate || "").slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+  const time = /^\d{2}:\d{2}$/.test(request.donationTime)
+    ? request.donationTime
+    : "23:59";
+  const due = new Date(`${date}T${time}:00${TIMEZONE_OFFSET}`);
+  return isNaN(due) ? null : due;
+};
+
+// Date strings sort correctly, so this narrows the scan to requests due
+// within hoursAhead (plus slack for time zones) before the exact due time
+// is worked out in code
+const dateKey = (date) => date.toISOString().slice(0, 10);
+const dueWithin = (now, hoursAhead) => ({
+  donationDate: {
+    $lt: dateKey(new Date(now.getTime() + (hoursAhead + 48) * HOUR_MS)),
+  },
+});
+
+// One pass of housekeeping over donation requests:
+//  - pending requests past their donation time become "expired"
+//  - assigned donors get a reminder ahead of the donation
+//  - in-progress requests long past their time get flagged as overdue
+// Every action is written to the request's statusHistory.
+const runRequestMaintenance = async ({
+  donationRequestsCollection,
+  usersCollection,
+  notifications,
+  now = new Date(),
+}) => {
+  const summary = { expired: 0, reminded: 0, flaggedOverdue: 0 };
+
+  const pending = await donationRequestsCollection
+    .find({ status: "pending", ...NOT_DELETED, ...dueWithin(now, 0) })
+    .toArray();
+  for (const request of pending) {
+    const due = donationDueAt(request);
+    if (!due || due > now) continue;
+
+    const note = "Donation date passed without a donor";
+    const updated = await donationRequestsCollection.findOneAndUpdate(
+      { _id: request._id, status: "pending" },
+      {
+        $set: { status: "expired", expiredAt: now, updatedAt: now },
+        $push: {
+          statusHistory: buildHistoryEntry(
+            "pending",
+            "expired",
+            SYSTEM_ACTOR,
+            note
+          ),
+        },
+      },
+      { returnDocument: "after" }
+    );
+    if (!updated) continue;
+    summary.expired++;
+    requestEvents.emit("request:statusChanged", {
+      request: updated,
+      actor: SYSTEM_ACTOR,
+      from: "pending",
+      to: "expired",
+      note,
+    });
+  }
+
+  const inProgress = await donationRequestsCollection
+    .find({
+      status: "inprogress",
+      ...NOT_DELETED,
+      ...dueWithin(now, REMINDER_HOURS),
+    })
+    .toArray();
+  for (const request of inProgress) {
+    const due = donationDueAt(request);
+    if (!due) continue;
+    const hoursUntilDue = (due.getTime() - now.getTime()) / HOUR_MS;
+
+    if (
+      hoursUntilDue > 0 &&
+      hoursUntilDue <= REMINDER_HOURS &&
+      !request.reminderSentAt
+    ) {
+      const result = await donationRequestsCollection.updateOne(
+        { _id: request._id, reminderSentAt: null },
+        {
+          $set: { reminderSentAt: now },
+          $push: {
+            statusHistory: buildHistoryEntry(
+              "inprogress",
+              "inprogress",
+              SYSTEM_ACTOR,
+              "Reminder sent to the assigned donor",
+              "reminder"
+            ),
+          },
+        }
+      );
+      if (result.modifiedCount === 0) continue;
+      summary.reminded++;
+      const donor = await usersCollection.findOne({
+        email: request.donorEmail,
+      });
+      if (donor) {
+        await notifications.notifyUsers(
+          [donor],
+          {
+            type: "request:reminder",
+            title: "Donation reminder",
+            message: `You are donating ${request.bloodGroup} blood for ${
+              request.recipientName
+            } at ${request.hospitalName} on ${request.donationDate} ${
+              request.donationTime || ""
+            }.`.trim(),
+            requestId: request._id,
+          },
+          { sms: true }
+        );
+      }
+    }
+
+    if (-hoursUntilDue >= OVERDUE_HOURS && !request.overdueFlaggedAt) {
+      const result = await donationRequestsCollection.updateOne(
+        { _id: request._id, overdueFlaggedAt: null },
+        {
+          $set: { overdue: true, overdueFlaggedAt: now },
+          $push: {
+            statusHistory: buildHistoryEntry(
+              "inprogress",
+              "inprogress",
+              SYSTEM_ACTOR,
+              "Donation date passed but the request was never marked done",
+              "overdue"
+            ),
+          },
+        }
+      );
+      if (result.modifiedCount === 0) continue;
+      summary.flaggedOverdue++;
+      const users = await usersCollection
+        .find({ email: { $in: [request.requesterEmail, request.donorEmail] } })
+        .toArray();
+      await notifications.notifyUsers(users, {
+        type: "request:overdue",
+        title: "Was the donation completed?",
+        message: `The donation for ${request.recipientName} was due on ${request.donationDate}. Please mark the request done or cancel it.`,
+        requestId: request._id,
+      });
+    }
+  }
+
+  return summary;
+};
+
+// Runs the job every intervalMinutes inside the API process; only logs
+// the ticks that changed something
+const scheduleRequestMaintenance = (deps, intervalMinutes) => {
+  const tick = () =>
+    runRequestMaintenance(deps)
+      .then((summary) => {
+        if (Object.values(summary).some((count) => count > 0)) {
+          console.log("🕒 Request maintenance:", summary);
+        }
+      })
+      .catch((err) => console.error("Request maintenance error:", err));
+  const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  donationDueAt,
+  runRequestMaintenance,
+  scheduleRequestMaintenance,
+};
@@ -0,0 +1,241 @@
+const { ObjectId } = require("mongodb");
+const { fromMinorUnits } = require("../utils/fundings");
+
+// /create-payment-intent puts the campaign id in the metadata
+const campaignIdOf = (paymentIntent) => {
+  const id = paymentIntent.metadata?.campaignId;
+  return id && ObjectId.isValid(id) ? new ObjectId(id) : null;
+};
+
+// Subscription invoices are paid through payment intents too; those are
+// recorded from invoice.paid instead. Intents from before `kind` existed
+// always carried the donor's email.
+const isOneTimePayment = (paymentIntent) => {
+  const { kind, email } = paymentIntent.metadata || {};
+  return kind ? kind === "one_time" : Boolean(email);
+};
+
+// Since the 2025-03-31 API the billing period lives on the items
+const periodEndOf = (subscription) => {
+  const end = subscription.items?.data?.[0]?.current_period_end;
+  return end ? new Date(end * 1000) : null;
+};
+
+// Builds the POST /stripe/webhook handler. Everything it talks to is passed
+// in, so it can be driven with a stub Stripe client and events signed
+// locally with stripe.webhooks.generateTestHeaderString().
+const createStripeWebhookHandler = ({
+  stripe,
+  webhookSecret,
+  fundingsCollection,
+  stripeEventsCollection,
+  subscriptionsCollection,
+}) => {
+  const recordPayment = async (paymentIntent) => {
+    if (!isOneTimePayment(paymentIntent)) return;
+    const now = new Date();
+    await fundingsCollection.updateOne(
+      { paymentIntentId: paymentIntent.id },
+      {
+        $set: {
+          amount: fromMinorUnits(
+            paymentIntent.amount_received,
+            paymentIntent.currency
+          ),
+          currency: paymentIntent.currency,
+          paidAt: now,
+        },
+        $setOnInsert: {
+          paymentIntentId: paymentIntent.id,
+          name: paymentIntent.metadata?.name || "",
+          email: paymentIntent.metadata?.email || null,
+          campaignId: campaignIdOf(paymentIntent),
+          kind: "one_time",
+          status: "succeeded",
+          createdAt: now,
+        },
+      },
+      { upsert: true }
+    );
+    // A retried payment can succeed after an earlier attempt failed
+    await fundingsCollection.updateOne(
+      { paymentIntentId: paymentIntent.id, status: "failed" },
+      { $set: { status: "succeeded" }, $unset: { failureMessage: "" } }
+    );
+  };
+
+  const recordFailure = async (paymentIntent) => {
+    if (!isOneTimePayment(paymentIntent)) return;
+    const now = new Date();
+    await fundingsCollection.updateOne(
+      { paymentIntentId: paymentIntent.id },
+      {
+        $set: {
+          failureMessage: paymentIntent.last_payment_error?.message || null,
+          failedAt: now,
+        },
+        $setOnInsert: {
+          paymentIntentId: paymentIntent.id,
+          name: paymentIntent.metadata?.name || "",
+          email: paymentIntent.metadata?.email || null,
+          campaignId: campaignIdOf(paymentIntent),
+          kind: "one_time",
+          amount: fromMinorUnits(paymentIntent.amount, paymentIntent.currency),
+          currency: paymentIntent.currency,
+          status: "failed",
+          createdAt: now,
+        },
+      },
+      { upsert: true }
+    );
+  };
+
+  const recordRefund = async (charge) => {
+    if (!charge.payment_intent) return;
+    const now = new Date();
+    await fundingsCollection.updateOne(
+      { paymentIntentId: charge.payment_intent },
+      {
+        $set: {
+          status: charge.refunded ? "refunded" : "partially_refunded",
+          amountRefunded: fromMinorUnits(
+            charge.amount_refunded,
+            charge.currency
+          ),
+          refundedAt: now,
+        },
+        $setOnInsert: {
+          paymentIntentId: charge.payment_intent,
+          name: "",
+          email: charge.billing_details?.email || null,
+          amount: fromMinorUnits(charge.amount, charge.currency),
+          currency: charge.currency,
+          createdAt: now,
+        },
+      },
+      { upsert: true }
+    );
+  };
+
+  // Refunds look fundings up by payment intent, so recurring rows keep it
+  const paymentIntentOfInvoice = async (invoice) => {
+    const payments =
+      invoice.payments?.data ||
+      (await stripe.invoicePayments.list({ invoice: invoice.id })).data;
+    const paid = payments.find((payment) => payment.status === "paid");
+    const paymentIntent = paid?.payment?.payment_intent;
+    return typeof paymentIntent === "string"
+      ? paymentIntent
+      : paymentIntent?.id || null;
+  };
+
+  // Each paid invoice of a monthly donation becomes its own funding
+  const recordRecurringPayment = async (invoice) => {
+    const details = invoice.parent?.subscription_details;
+    if (!details || invoice.amount_paid <= 0) return;
+    const now = new Date();
+    const paymentIntentId = await paymentIntentOfInvoice(invoice);
+    await fundingsCollection.updateOne(
+      { invoiceId: invoice.id },
+      {
+        $set: {
+          amount: fromMinorUnits(invoice.amount_paid, invoice.currency),
+          currency: invoice.currency,
+          paidAt: now,
+        },
+        $setOnInsert: {
+          invoiceId: invoice.id,
+          subscriptionId: details.subscription,
+          ...(paymentIntentId && { paymentIntentId }),
+          name: details.metadata?.name || invoice.customer_name || "",
+          email: details.metadata?.email || invoice.customer_email || null,
+          campaignId: null,
+          kind: "recurring",
+          status: "succeeded",
+          createdAt: now,
+        },
+      },
+      { upsert: true }
+    );
+    await subscriptionsCollection.updateOne(
+      { subscriptionId: details.subscription },
+      { $set: { lastPaidAt: now, updatedAt: now } }
+    );
+  };
+
+  const syncSubscription = async (subscription) => {
+    const now = new Date();
+    await subscriptionsCollection.updateOne(
+      { subscriptionId: subscription.id },
+      {
+        $set: {
+          status: subscription.status,
+          currentPeriodEnd: periodEndOf(subscription),
+          canceledAt: subscription.canceled_at
+            ? new Date(subscription.canceled_at * 1000)
+            : null,
+          updatedAt: now,
+        },
+      }
+    );
+  };
+
+  const handlers = {
+    "payment_intent.succeeded": (event) => recordPayment(event.data.object),
+    "payment_intent.payment_failed": (event) =>
+      recordFailure(event.data.object),
+    "charge.refunded": (event) => recordRefund(event.data.object),
+    "invoice.paid": (event) => recordRecurringPayment(event.data.object),
+    "customer.subscription.updated": (event) =>
+      syncSubscription(event.data.object),
+    "customer.subscription.deleted": (event) =>
+      syncSubscription(event.data.object),
+  };
+
+  return async (req, res) => {
+    const signature = req.headers["stripe-signature"];
+    if (!webhookSecret) {
+      console.error("STRIPE_WEBHOOK_SECRET is not configured");
+      return res.status(500).send({ message: "Webhook not configured" });
+    }
+    if (!signature || !req.rawBody) {
+      return res.status(400).send({ message: "Missing Stripe signature" });
+    }
+
+    let event;
+    try {
+      event = stripe.webhooks.constructEvent(
+        req.rawBody,
+        signature,
+        webhookSecret
+      );
+    } catch (err) {
+      console.warn("Stripe signature check failed:", err.message);
+      return res
+        .status(400)
+        .send({ message: "Webhook signature verification failed" });
+    }
+
+    try {
+      // Stripe retries deliveries, so the same event can arrive twice
+      const seen = await stripeEventsCollection.findOne({ _id: event.id });
+      if (seen) return res.send({ received: true, duplicate: true });
+
+      const handler = handlers[event.type];
+      if (handler) await handler(event);
+
+      await stripeEventsCollection.updateOne(
+        { _id: event.id },
+        { $setOnInsert: { type: event.type, receivedAt: new Date() } },
+        { upsert: true }
+      );
+      res.send({ received: true });
+    } catch (err) {
+      // A non-2xx makes Stripe deliver the event again later
+      console.error(`Stripe webhook ${event.type} error:`, err);
+      res.status(500).send({ message: "Failed to process event" });
+    }
+  };
+};
+
+module.exports = { createStripeWebhookHandler };
@@ -0,0 +1,45 @@
+const { NOT_ANONYMIZED, trashRetentionDays } = require("../utils/softDelete");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Permanently removes everything that has been in the trash for longer than
+// the retention period. Blog revisions are removed along with their post.
+const purgeTrash = async (
+  {
+    donationRequestsCollection,
+    blogsCollection,
+    blogRevisionsCollection,
+    usersCollection,
+    bloodBanksCollection,
+    campaignsCollection,
+  },
+  { retentionDays = trashRetentionDays(), now = new Date() } = {}
+) => {
+  const cutoff = new Date(now.getTime() - retentionDays * DAY_MS);
+  const expired = { deletedAt: { $lte: cutoff }, ...NOT_ANONYMIZED };
+
+  const blogIds = await blogsCollection.distinct("_id", expired);
+  if (blogIds.length > 0) {
+    await blogRevisionsCollection.deleteMany({ blogId: { $in: blogIds } });
+  }
+
+  const [requests, blogs, users, bloodBanks, campaigns] = await Promise.all([
+    donationRequestsCollection.deleteMany(expired),
+    blogsCollection.deleteMany({ _id: { $in: blogIds } }),
+    usersCollection.deleteMany(expired),
+    bloodBanksCollection.deleteMany(expired),
+    // Their fundings stay and are reported as a deleted campaign
+    campaignsCollection.deleteMany(expired),
+  ]);
+
+  return {
+    cutoff,
+    donationRequests: requests.deletedCount,
+    blogs: blogs.deletedCount,
+    users: users.deletedCount,
+    bloodBanks: bloodBanks.deletedCount,
+    campaigns: campaigns.deletedCount,
+  };
+};
+
+module.exports = { purgeTrash };
@@ -0,0 +1,91 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildHistoryEntry } = require("../utils/donationStatus");
+const { profileFor, requestFor } = require("../utils/privacy");
+
+const donor = (overrides = {}) => ({
+  _id: "u1",
+  name: "Rahim",
+  email: "rahim@gmail.com",
+  phone: "01711123456",
+  bloodGroup: "O-",
+  role: "donor",
+  deferral: { until: "2000-01-01", reason: "illness", setBy: "a@x.org" },
+  ...overrides,
+});
+
+const member = { email: "karim@gmail.com", role: "donor" };
+const volunteer = { email: "vol@bloodbridge.org", role: "volunteer" };
+
+describe("profileFor", () => {
+  it("masks contact details of a donors-only profile", () => {
+    const profile = profileFor(donor(), member);
+    assert.equal(profile.email, "r***@gmail.com");
+    assert.equal(profile.phone, "017*****456");
+    assert.equal(profile.contactMasked, true);
+    assert.equal(profile.deferral, undefined);
+  });
+
+  it("shows contact details once the two share a request", () => {
+    const profile = profileFor(donor(), member, true);
+    assert.equal(profile.email, "rahim@gmail.com");
+    assert.equal(profile.phone, "01711123456");
+  });
+
+  it("shows contact details of public profiles", () => {
+    const profile = profileFor(donor({ visibility: "public" }), member);
+    assert.equal(profile.email, "rahim@gmail.com");
+  });
+
+  it("hides hidden profiles from unconnected members", () => {
+    assert.equal(profileFor(donor({ visibility: "hidden" }), member), null);
+    assert.ok(profileFor(donor({ visibility: "hidden" }), member, true));
+  });
+
+  it("gives the user themselves and staff the whole profile", () => {
+    for (const viewer of [{ email: "rahim@gmail.com" }, volunteer]) {
+      const profile = profileFor(donor({ visibility: "hidden" }), viewer);
+      assert.equal(profile.email, "rahim@gmail.com");
+      assert.equal(profile.deferral, null);
+    }
+  });
+});
+
+describe("requestFor", () => {
+  const requester = { email: "req@gmail.com", name: "Req", role: "donor" };
+  const claimant = { email: "don@gmail.com", name: "Don", role: "donor" };
+  const request = {
+    requesterEmail: requester.email,
+    donorEmail: claimant.email,
+    statusHistory: [
+      buildHistoryEntry(null, "pending", requester),
+      buildHistoryEntry("pending", "inprogress", claimant),
+    ],
+  };
+
+  it("masks both emails, in the history too, for other members", () => {
+    const seen = requestFor(request, member);
+    assert.equal(seen.requesterEmail, "r***@gmail.com");
+    assert.equal(seen.donorEmail, "d***@gmail.com");
+    assert.equal(seen.contactMasked, true);
+    assert.deepEqual(
+      seen.statusHistory.map((entry) => entry.actor.email),
+      ["r***@gmail.com", "d***@gmail.com"]
+    );
+    assert.equal(seen.statusHistory[0].actor.name, "Req");
+  });
+
+  it("leaves the request alone for the requester, donor and staff", () => {
+    for (const viewer of [requester, claimant, volunteer]) {
+      assert.equal(requestFor(request, viewer), request);
+    }
+  });
+
+  it("masks the requester for a donor who released the request", () => {
+    const released = { ...request, donorEmail: undefined };
+    const seen = requestFor(released, claimant);
+    assert.equal(seen.requesterEmail, "r***@gmail.com");
+    assert.equal(seen.donorEmail, undefined);
+    assert.equal(seen.statusHistory[1].actor.email, "d***@gmail.com");
+  });
+});
@@ -0,0 +1,278 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Stripe = require("stripe");
+const { createStripeWebhookHandler } = require("../services/stripeWebhook");
+
+const WEBHOOK_SECRET = "whsec_test_secret";
+const { webhooks } = new Stripe("sk_test_unused");
+
+// Just enough of a Mongo collection for the webhook: equality filters,
+// $set / $setOnInsert / $unset and upserts
+const fakeCollection = () => {
+  const docs = [];
+  const matches = (doc, filter) =>
+    Object.entries(filter).every(([field, value]) => doc[field] === value);
+  return {
+    docs,
+    findOne: async (filter) => docs.find((doc) => matches(doc, filter)) || null,
+    updateOne: async (filter, update, { upsert = false } = {}) => {
+      let doc = docs.find((d) => matches(d, filter));
+      if (!doc) {
+        if (!upsert) return { matchedCount: 0 };
+        doc = { ...filter, ...update.$setOnInsert };
+        docs.push(doc);
+      }
+      Object.assign(doc, update.$set);
+      Object.keys(update.$unset || {}).forEach((field) => delete doc[field]);
+      return { matchedCount: 1 };
+    },
+  };
+};
+
+const fakeResponse = () => ({
+  statusCode: 200,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  send(body) {
+    this.body = body;
+    return this;
+  },
+});
+
+let eventCount = 0;
+const buildEvent = (type, object) => ({
+  id: `evt_test_${++eventCount}`,
+  object: "event",
+  type,
+  data: { object },
+});
+
+// A request the way express.json() leaves it: the raw bytes plus Stripe's
+// signature header
+const signedRequest = (event, secret = WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  return {
+    headers: {
+      "stripe-signature": webhooks.generateTestHeaderString({
+        payload,
+        secret,
+      }),
+    },
+    rawBody: Buffer.from(payload),
+  };
+};
+
+describe("Stripe webhook", () => {
+  let fundings;
+  let stripeEvents;
+  let subscriptions;
+  let invoicePaymentLookups;
+  let handle;
+
+  beforeEach(() => {
+    fundings = fakeCollection();
+    stripeEvents = fakeCollection();
+    subscriptions = fakeCollection();
+    invoicePaymentLookups = [];
+    const stripe = {
+      webhooks,
+      invoicePayments: {
+        list: async (params) => {
+          invoicePaymentLookups.push(params);
+          return {
+            data: [{ status: "paid", payment: { payment_intent: "pi_sub_1" } }],
+          };
+        },
+      },
+    };
+    const handler = createStripeWebhookHandler({
+      stripe,
+      webhookSecret: WEBHOOK_SECRET,
+      fundingsCollection: fundings,
+      stripeEventsCollection: stripeEvents,
+      subscriptionsCollection: subscriptions,
+    });
+    handle = async (req) => {
+      const res = fakeResponse();
+      await handler(req, res);
+      return res;
+    };
+  });
+
+  const succeeded = (overrides = {}) =>
+    buildEvent("payment_intent.succeeded", {
+      id: "pi_1",
+      object: "payment_intent",
+      amount: 2500,
+      amount_received: 2500,
+      currency: "usd",
+      metadata: { kind: "one_time", email: "donor@example.com", name: "Rahim" },
+      ...overrides,
+    });
+
+  describe("signature check", () => {
+    it("rejects a request without a signature", async () => {
+      const req = signedRequest(succeeded());
+      delete req.headers["stripe-signature"];
+
+      const res = await handle(req);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(fundings.docs.length, 0);
+    });
+
+    it("rejects an event signed with another secret", async (t) => {
+      t.mock.method(console, "warn", () => {});
+
+      const res = await handle(signedRequest(succeeded(), "whsec_other"));
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(fundings.docs.length, 0);
+      assert.equal(stripeEvents.docs.length, 0);
+    });
+
+    it("rejects a body changed after signing", async (t) => {
+      t.mock.method(console, "warn", () => {});
+      const req = signedRequest(succeeded());
+      req.rawBody = Buffer.from(
+        req.rawBody.toString().replace("2500", "250000")
+      );
+
+      const res = await handle(req);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(fundings.docs.length, 0);
+    });
+  });
+
+  it("records a one-time payment on payment_intent.succeeded", async () => {
+    const res = await handle(signedRequest(succeeded()));
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { received: true });
+    assert.equal(fundings.docs.length, 1);
+    const [funding] = fundings.docs;
+    assert.equal(funding.paymentIntentId, "pi_1");
+    assert.equal(funding.amount, 25);
+    assert.equal(funding.currency, "usd");
+    assert.equal(funding.email, "donor@example.com");
+    assert.equal(funding.kind, "one_time");
+    assert.equal(funding.status, "succeeded");
+  });
+
+  it("leaves payments of subscription invoices to invoice.paid", async () => {
+    const res = await handle(
+      signedRequest(succeeded({ metadata: { kind: "recurring" } }))
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(fundings.docs.length, 0);
+  });
+
+  it("processes a redelivered event only once", async () => {
+    const event = succeeded();
+    await handle(signedRequest(event));
+    fundings.docs[0].name = "Changed since";
+
+    const res = await handle(signedRequest(event));
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, { received: true, duplicate: true });
+    assert.equal(fundings.docs.length, 1);
+    assert.equal(fundings.docs[0].name, "Changed since");
+    assert.equal(stripeEvents.docs.length, 1);
+  });
+
+  it("marks the funding refunded on charge.refunded", async () => {
+    await handle(signedRequest(succeeded()));
+
+    const partial = await handle(
+      signedRequest(
+        buildEvent("charge.refunded", {
+          id: "ch_1",
+          object: "charge",
+          payment_intent: "pi_1",
+          amount: 2500,
+          amount_refunded: 1000,
+          refunded: false,
+          currency: "usd",
+        })
+      )
+    );
+    assert.equal(partial.statusCode, 200);
+    assert.equal(fundings.docs[0].status, "partially_refunded");
+    assert.equal(fundings.docs[0].amountRefunded, 10);
+
+    await handle(
+      signedRequest(
+        buildEvent("charge.refunded", {
+          id: "ch_1",
+          object: "charge",
+          payment_intent: "pi_1",
+          amount: 2500,
+          amount_refunded: 2500,
+          refunded: true,
+          currency: "usd",
+        })
+      )
+    );
+    assert.equal(fundings.docs.length, 1);
+    assert.equal(fundings.docs[0].status, "refunded");
+    assert.equal(fundings.docs[0].amountRefunded, 25);
+  });
+
+  it("records each paid subscription invoice on invoice.paid", async () => {
+    subscriptions.docs.push({ subscriptionId: "sub_1", status: "active" });
+
+    const res = await handle(
+      signedRequest(
+        buildEvent("invoice.paid", {
+          id: "in_1",
+          object: "invoice",
+          amount_paid: 50000,
+          currency: "bdt",
+          customer_email: "monthly@example.com",
+          parent: {
+            subscription_details: {
+              subscription: "sub_1",
+              metadata: { email: "monthly@example.com", name: "Karim" },
+            },
+          },
+        })
+      )
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(invoicePaymentLookups, [{ invoice: "in_1" }]);
+    assert.equal(fundings.docs.length, 1);
+    const [funding] = fundings.docs;
+    assert.equal(funding.invoiceId, "in_1");
+    assert.equal(funding.subscriptionId, "sub_1");
+    assert.equal(funding.paymentIntentId, "pi_sub_1");
+    assert.equal(funding.amount, 500);
+    assert.equal(funding.currency, "bdt");
+    assert.equal(funding.kind, "recurring");
+    assert.equal(funding.name, "Karim");
+    assert.ok(subscriptions.docs[0].lastPaidAt instanceof Date);
+  });
+
+  it("ignores invoices that are not for a subscription", async () => {
+    const res = await handle(
+      signedRequest(
+        buildEvent("invoice.paid", {
+          id: "in_2",
+          object: "invoice",
+          amount_paid: 1000,
+          currency: "usd",
+          parent: null,
+        })
+      )
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(fundings.docs.length, 0);
+  });
+});
@@ -0,0 +1,37 @@
+// "Why Donate Blood?" -> "why-donate-blood", "রক্তদান কেন?" -> "রক্তদান-কেন".
+// Accents come off Latin letters; other scripts are kept as they are.
+const slugify = (text) =>
+  String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80)
+    .replace(/-+$/g, "");
+
+// Published posts whose scheduled date (if any) has arrived
+const publicBlogFilter = (now = new Date()) => ({
+  status: "published",
+  $or: [{ publishAt: null }, { publishAt: { $lte: now } }],
+});
+
+const isPubliclyVisible = (blog, now = new Date()) =>
+  blog.status === "published" &&
+  (!blog.publishAt || new Date(blog.publishAt) <= now);
+
+const normalizeTags = (tags = []) => [
+  ...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean)),
+];
+
+// Fields copied into blogRevisions before each edit
+const REVISION_FIELDS = ["title", "slug", "thumbnail", "content", "tags"];
+
+module.exports = {
+  slugify,
+  publicBlogFilter,
+  isPubliclyVisible,
+  normalizeTags,
+  REVISION_FIELDS,
+};
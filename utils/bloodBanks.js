@@ -0,0 +1,44 @@
+const { BLOOD_GROUPS } = require("./donorMatching");
+const { coordinatesOf, distanceKm } = require("./locations");
+
+// New banks start with zero units of every group
+const emptyStock = () => Object.fromEntries(BLOOD_GROUPS.map((g) => [g, 0]));
+
+// Who works at a bank is not public
+const PUBLIC_BLOOD_BANK_FIELDS = { staffEmails: 0 };
+
+// Banks holding at least `minUnits` of any of the given groups
+const stockFilter = (groups, minUnits = 1) => ({
+  $or: groups.map((group) => ({ [`stock.${group}`]: { $gte: minUnits } })),
+});
+
+// The requested groups the bank has in stock: { "O-": 3, "A-": 1 }
+const availableUnits = (bank, groups) =>
+  Object.fromEntries(
+    groups
+      .filter((group) => bank.stock?.[group] > 0)
+      .map((group) => [group, bank.stock[group]])
+  );
+
+// Closest first; banks without a mapped location go last
+const sortByDistance = (banks, point) =>
+  banks
+    .map((bank) => ({
+      ...bank,
+      distanceKm: distanceKm(
+        coordinatesOf(
+          bank.districtId || bank.district,
+          bank.upazilaId || bank.upazila
+        ),
+        point
+      ),
+    }))
+    .sort((a, b) => (a.distanceKm ?? Infinity) - (b.distanceKm ?? Infinity));
+
+module.exports = {
+  emptyStock,
+  PUBLIC_BLOOD_BANK_FIELDS,
+  stockFilter,
+  availableUnits,
+  sortByDistance,
+};
@@ -0,0 +1,61 @@
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+// ...but phone numbers and negative amounts are plain data
+const NUMBER_LIKE = /^[+-]?[\d\s().-]+$/;
+
+const formatCell = (value) => {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) return value.toISOString();
+  let text = typeof value === "object" ? String(value) : `${value}`;
+  if (FORMULA_START.test(text) && !NUMBER_LIKE.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV record, CRLF-terminated as RFC 4180 asks
+const toCsvLine = (values) => `${values.map(formatCell).join(",")}\r\n`;
+
+// Rows of cells from CSV text. Handles quoted fields with commas, quotes and
+// line breaks; skips blank lines.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.some((value) => value.trim() !== "")) rows.push(row);
+    row = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== "" || row.length > 0) endRow();
+
+  return rows;
+};
+
+module.exports = { toCsvLine, parseCsv };
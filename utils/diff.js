@@ -0,0 +1,23 @@
+const IGNORED_FIELDS = ["updatedAt"];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Top-level fields that differ between two documents:
+//   { role: { before: "donor", after: "admin" } }
+// Either side may be null (creation / deletion).
+const diffDocuments = (before, after) => {
+  const changes = {};
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+    const from = before?.[field] ?? null;
+    const to = after?.[field] ?? null;
+    if (!same(from, to)) changes[field] = { before: from, after: to };
+  }
+  return changes;
+};
+
+module.exports = { diffDocuments };
@@ -0,0 +1,81 @@
+const DONATION_STATUSES = [
+  "pending",
+  "inprogress",
+  "done",
+  "canceled",
+  "expired",
+];
+
+// from -> to -> who may make the move. "requester" and "donor" are the
+// request's own requester and assigned donor, "system" is the scheduled
+// maintenance job; the rest are user roles.
+const TRANSITIONS = {
+  pending: {
+    inprogress: ["donor", "volunteer", "admin"],
+    canceled: ["requester", "volunteer", "admin"],
+    expired: ["system"],
+  },
+  inprogress: {
+    done: ["requester", "donor", "volunteer", "admin"],
+    canceled: ["requester", "volunteer", "admin"],
+    pending: ["donor", "volunteer", "admin"],
+  },
+  done: {},
+  canceled: {},
+  expired: {},
+};
+
+// Every capacity the user acts in for this particular request.
+const getActorRoles = (user, request) => {
+  const roles = [];
+  if (user.email && user.email === request.requesterEmail) {
+    roles.push("requester");
+  }
+  if (user.email && user.email === request.donorEmail) roles.push("donor");
+  if (["volunteer", "admin", "system"].includes(user.role)) {
+    roles.push(user.role);
+  }
+  return roles;
+};
+
+// Returns null when the move is allowed, otherwise the reason it is not.
+const checkTransition = (from, to, actorRoles) => {
+  if (!DONATION_STATUSES.includes(to)) {
+    return `Unknown status "${to}"`;
+  }
+  const allowed = TRANSITIONS[from]?.[to];
+  if (!allowed) {
+    return `Cannot move a request from "${from}" to "${to}"`;
+  }
+  if (!actorRoles.some((role) => allowed.includes(role))) {
+    return `Only ${allowed.join(", ")} may move a request from "${from}" to "${to}"`;
+  }
+  return null;
+};
+
+// Acts in history entries written by the scheduled jobs
+const SYSTEM_ACTOR = { email: null, name: "Blood Bridge", role: "system" };
+
+// event is set for entries that record something other than a status
+// change, e.g. a reminder (from and to are then the same status).
+const buildHistoryEntry = (from, to, actor, note, event) => ({
+  from,
+  to,
+  ...(event && { event }),
+  actor: {
+    email: actor.email || null,
+    name: actor.name || null,
+    role: actor.role || null,
+  },
+  note: note || null,
+  changedAt: new Date(),
+});
+
+module.exports = {
+  DONATION_STATUSES,
+  TRANSITIONS,
+  SYSTEM_ACTOR,
+  getActorRoles,
+  checkTransition,
+  buildHistoryEntry,
+};
@@ -0,0 +1,114 @@
+const { getEligibility } = require("./eligibility");
+const { coordinatesOf, distanceKm } = require("./locations");
+
+// Blood groups each recipient group can safely receive red cells from.
+const COMPATIBLE_DONORS = {
+  "O-": ["O-"],
+  "O+": ["O+", "O-"],
+  "A-": ["A-", "O-"],
+  "A+": ["A+", "A-", "O+", "O-"],
+  "B-": ["B-", "O-"],
+  "B+": ["B+", "B-", "O+", "O-"],
+  "AB-": ["AB-", "A-", "B-", "O-"],
+  "AB+": ["AB+", "AB-", "A+", "A-", "B+", "B-", "O+", "O-"],
+};
+
+const BLOOD_GROUPS = Object.keys(COMPATIBLE_DONORS);
+
+const normalizeBloodGroup = (group) =>
+  typeof group === "string" ? group.replace(/\s+/g, "").toUpperCase() : "";
+
+const getCompatibleDonorGroups = (recipientGroup) =>
+  COMPATIBLE_DONORS[normalizeBloodGroup(recipientGroup)] || [];
+
+const sameText = (a, b) =>
+  !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// Canonical ids when both sides have them, otherwise the free-text names
+// older documents were saved with
+const samePlace = (donorId, requestId, donorName, requestName) =>
+  donorId && requestId
+    ? donorId === requestId
+    : sameText(donorName, requestName);
+
+// 2 = same upazila, 1 = same district, 0 = elsewhere
+const locationScore = (donor, request) => {
+  const sameDistrict = samePlace(
+    donor.districtId,
+    request.recipientDistrictId,
+    donor.district,
+    request.recipientDistrict
+  );
+  if (!sameDistrict) return 0;
+  const sameUpazila = samePlace(
+    donor.upazilaId,
+    request.recipientUpazilaId,
+    donor.upazila,
+    request.recipientUpazila
+  );
+  return sameUpazila ? 2 : 1;
+};
+
+// Straight-line km between donor and recipient, null if either is unmapped
+const distanceTo = (donor, request) =>
+  distanceKm(
+    coordinatesOf(
+      donor.districtId || donor.district,
+      donor.upazilaId || donor.upazila
+    ),
+    coordinatesOf(
+      request.recipientDistrictId || request.recipientDistrict,
+      request.recipientUpazilaId || request.recipientUpazila
+    )
+  );
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysSince = (date, now) =>
+  date ? Math.floor((now.getTime() - date.getTime()) / DAY_MS) : null;
+
+// Donors who never gave blood sort as if their last donation was long ago
+const restedFor = (match) => match.daysSinceLastDonation ?? Infinity;
+
+// Donors without a mapped location sort after everyone with one
+const distanceOf = (match) => match.distanceKm ?? Infinity;
+
+// The deferral (its reason may be medical) and last donation type only
+// decide eligibility; nobody else gets to read them
+const withoutEligibilityFields = ({ deferral, lastDonationType, ...donor }) =>
+  donor;
+
+// Drop donors still inside their deferral window, then sort by proximity to
+// the recipient (same upazila/district, then distance), time since their
+// last donation and an exact group match over a merely compatible one.
+const rankDonors = (donors, request, now = new Date()) => {
+  const recipientGroup = normalizeBloodGroup(request.bloodGroup);
+
+  return donors
+    .map((donor) => ({ donor, eligibility: getEligibility(donor, now) }))
+    .filter(({ eligibility }) => eligibility.eligible)
+    .map(({ donor, eligibility }) => ({
+      ...withoutEligibilityFields(donor),
+      match: {
+        locationScore: locationScore(donor, request),
+        distanceKm: distanceTo(donor, request),
+        daysSinceLastDonation: daysSince(eligibility.lastDonationDate, now),
+        exactGroup: normalizeBloodGroup(donor.bloodGroup) === recipientGroup,
+      },
+    }))
+    .sort(
+      (a, b) =>
+        b.match.locationScore - a.match.locationScore ||
+        distanceOf(a.match) - distanceOf(b.match) ||
+        restedFor(b.match) - restedFor(a.match) ||
+        b.match.exactGroup - a.match.exactGroup
+    );
+};
+
+module.exports = {
+  BLOOD_GROUPS,
+  COMPATIBLE_DONORS,
+  normalizeBloodGroup,
+  getCompatibleDonorGroups,
+  rankDonors,
+};
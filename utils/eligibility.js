@@ -0,0 +1,48 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const days = (value, fallback) => parseInt(value) || fallback;
+
+// Minimum days between donations, per donation type. Override with env vars.
+const DEFERRAL_DAYS = {
+  whole_blood: days(process.env.WHOLE_BLOOD_DEFERRAL_DAYS, 90),
+  platelets: days(process.env.PLATELETS_DEFERRAL_DAYS, 7),
+  plasma: days(process.env.PLASMA_DEFERRAL_DAYS, 28),
+};
+
+const DONATION_TYPES = Object.keys(DEFERRAL_DAYS);
+
+const addDays = (date, count) => new Date(date.getTime() + count * DAY_MS);
+
+// Works out when a donor may give blood again, taking both their last
+// donation and any manual deferral set by an admin into account.
+const getEligibility = (user, now = new Date()) => {
+  const lastDonationDate = user.lastDonationDate
+    ? new Date(user.lastDonationDate)
+    : null;
+
+  let nextEligibleDate = null;
+  if (lastDonationDate) {
+    const interval =
+      DEFERRAL_DAYS[user.lastDonationType] || DEFERRAL_DAYS.whole_blood;
+    nextEligibleDate = addDays(lastDonationDate, interval);
+  }
+
+  const deferralEnd = user.deferral?.until ? new Date(user.deferral.until) : null;
+  const deferred = !!deferralEnd && deferralEnd > now;
+  if (deferred && (!nextEligibleDate || deferralEnd > nextEligibleDate)) {
+    nextEligibleDate = deferralEnd;
+  }
+
+  return {
+    lastDonationDate,
+    nextEligibleDate,
+    eligible: !nextEligibleDate || nextEligibleDate <= now,
+    deferral: deferred ? user.deferral : null,
+  };
+};
+
+module.exports = {
+  DEFERRAL_DAYS,
+  DONATION_TYPES,
+  getEligibility,
+};
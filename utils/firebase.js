@@ -0,0 +1,10 @@
+const admin = require("firebase-admin");
+const serviceAccount = require("../firebaseServiceAccountKey.json");
+
+// initializeApp may only run once per process, so every module imports
+// admin from here
+admin.initializeApp({
+  credential: admin.credential.cert(serviceAccount),
+});
+
+module.exports = { admin };
@@ -0,0 +1,106 @@
+// Failed payments are kept for reference but never count towards totals
+const COUNTED_FUNDINGS = { status: { $ne: "failed" } };
+
+// Amount that actually stayed with us after any refunds
+const NET_AMOUNT = {
+  $subtract: ["$amount", { $ifNull: ["$amountRefunded", 0] }],
+};
+
+// Rows saved before currencies were recorded are in USD
+const LEGACY_CURRENCY = "usd";
+const CURRENCY = { $ifNull: ["$currency", LEGACY_CURRENCY] };
+
+const parseCurrencies = (value) =>
+  value
+    .split(",")
+    .map((code) => code.trim().toLowerCase())
+    .filter(Boolean);
+
+// Currencies donors may pay in, e.g. ALLOWED_CURRENCIES=bdt,usd
+const ALLOWED_CURRENCIES = parseCurrencies(
+  process.env.ALLOWED_CURRENCIES || "usd,bdt"
+);
+// Totals and analytics report this currency unless asked for another;
+// defaults to the first allowed one
+const DEFAULT_CURRENCY = ALLOWED_CURRENCIES.includes(
+  process.env.DEFAULT_CURRENCY?.toLowerCase()
+)
+  ? process.env.DEFAULT_CURRENCY.toLowerCase()
+  : ALLOWED_CURRENCIES[0];
+
+// Stripe amounts are integers in the currency's smallest unit. Most
+// currencies have 2 decimals; these are the exceptions Stripe lists.
+const ZERO_DECIMAL_CURRENCIES =
+  "bif clp djf gnf jpy kmf krw mga pyg rwf ugx vnd vuv xaf xof xpf".split(" ");
+const THREE_DECIMAL_CURRENCIES = "bhd jod kwd omr tnd".split(" ");
+
+const decimalsOf = (currency = LEGACY_CURRENCY) => {
+  const code = currency.toLowerCase();
+  if (ZERO_DECIMAL_CURRENCIES.includes(code)) return 0;
+  if (THREE_DECIMAL_CURRENCIES.includes(code)) return 3;
+  return 2;
+};
+
+// 12.5 BDT -> 1250 poisha
+const toMinorUnits = (amount, currency) => {
+  const minor = Math.round(amount * 10 ** decimalsOf(currency));
+  // Stripe wants three-decimal amounts rounded to the nearest ten
+  return decimalsOf(currency) === 3 ? Math.round(minor / 10) * 10 : minor;
+};
+
+const fromMinorUnits = (amount, currency) =>
+  Math.round(amount) / 10 ** decimalsOf(currency);
+
+// Smallest and largest single donation per currency, in minor units.
+// Stripe refuses charges worth less than about 0.50 USD and amounts of
+// more than eight digits.
+const AMOUNT_LIMITS = {
+  usd: { min: 50, max: 10000000 },
+  bdt: { min: 10000, max: 99999999 },
+};
+const DEFAULT_AMOUNT_LIMITS = { min: 50, max: 99999999 };
+
+// Validation error for an amount in the given currency, or null
+const checkAmount = (amount, currency) => {
+  const { min, max } = AMOUNT_LIMITS[currency] || DEFAULT_AMOUNT_LIMITS;
+  const minor = toMinorUnits(amount, currency);
+  const code = currency.toUpperCase();
+  if (minor < min) {
+    return {
+      field: "amount",
+      message: `amount must be at least ${fromMinorUnits(
+        min,
+        currency
+      )} ${code}`,
+    };
+  }
+  if (minor > max) {
+    return {
+      field: "amount",
+      message: `amount must be at most ${fromMinorUnits(
+        max,
+        currency
+      )} ${code}`,
+    };
+  }
+  return null;
+};
+
+// $match condition for one currency, counting legacy rows as USD
+const currencyFilter = (currency) =>
+  currency === LEGACY_CURRENCY
+    ? { currency: { $in: [currency, null] } }
+    : { currency };
+
+module.exports = {
+  COUNTED_FUNDINGS,
+  NET_AMOUNT,
+  CURRENCY,
+  LEGACY_CURRENCY,
+  ALLOWED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  toMinorUnits,
+  fromMinorUnits,
+  checkAmount,
+  currencyFilter,
+};
@@ -0,0 +1,214 @@
+const { ObjectId } = require("mongodb");
+const { DONATION_STATUSES } = require("./donationStatus");
+const { normalizeBloodGroup, BLOOD_GROUPS } = require("./donorMatching");
+const { ROLES, USER_STATUSES } = require("./permissions");
+const { NOT_DELETED } = require("./softDelete");
+const {
+  COUNTED_FUNDINGS,
+  ALLOWED_CURRENCIES,
+  currencyFilter,
+} = require("./fundings");
+const {
+  namesOf,
+  findDistrict,
+  findUpazila,
+  USER_LOCATION_FIELDS,
+  BLOOD_BANK_LOCATION_FIELDS,
+  REQUEST_LOCATION_FIELDS,
+} = require("./locations");
+
+const MAX_LIMIT = 100;
+
+// page/limit from the query string, clamped to sane values
+const getPagination = (query, defaultLimit = 10) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(
+    Math.max(parseInt(query.limit) || defaultLimit, 1),
+    MAX_LIMIT
+  );
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Query values are arrays when a param is repeated (?search=a&search=b)
+const textParam = (value) => String(value).trim();
+
+// Case-insensitive exact match, so "dhaka" finds "Dhaka"
+const exactText = (value) =>
+  new RegExp(`^${escapeRegex(textParam(value))}$`, "i");
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return value && !isNaN(date) ? date : null;
+};
+
+// An unencoded "+" in a query string arrives as a space
+const bloodGroupParam = (value) =>
+  normalizeBloodGroup(String(value || "").replace(/ /g, "+"));
+
+// Matches the canonical id, or any known spelling of the name on documents
+// saved before the ids existed (until `npm run migrate:locations` has run)
+const placeCondition = (place, idField, nameField) => ({
+  $or: [
+    { [idField]: place.id },
+    { [idField]: null, [nameField]: { $in: namesOf(place).map(exactText) } },
+  ],
+});
+
+// Filters on the canonical ids when the district/upazila is in the dataset,
+// and falls back to a case-insensitive name match otherwise
+const addLocationFilter = (filter, query, fields) => {
+  const districtParam = query[fields.district];
+  const upazilaParam = query[fields.upazila];
+  const conditions = [];
+
+  const district = findDistrict(districtParam);
+  if (district) {
+    conditions.push(
+      placeCondition(district, fields.districtId, fields.district)
+    );
+  } else if (districtParam) {
+    filter[fields.district] = exactText(districtParam);
+  }
+
+  const upazila = findUpazila(district, upazilaParam);
+  if (upazila) {
+    conditions.push(placeCondition(upazila, fields.upazilaId, fields.upazila));
+  } else if (upazilaParam) {
+    filter[fields.upazila] = exactText(upazilaParam);
+  }
+
+  if (conditions.length > 0) {
+    filter.$and = [...(filter.$and || []), ...conditions];
+  }
+};
+
+// Mongo filter for the admin user directory
+const buildUserFilter = (query) => {
+  const filter = { ...NOT_DELETED };
+
+  if (ROLES.includes(query.role)) filter.role = query.role;
+  if (USER_STATUSES.includes(query.status)) filter.status = query.status;
+
+  const bloodGroup = bloodGroupParam(query.bloodGroup);
+  if (BLOOD_GROUPS.includes(bloodGroup)) filter.bloodGroup = bloodGroup;
+
+  addLocationFilter(filter, query, USER_LOCATION_FIELDS);
+
+  if (query.search) {
+    const pattern = new RegExp(escapeRegex(textParam(query.search)), "i");
+    filter.$or = [{ name: pattern }, { email: pattern }];
+  }
+
+  return filter;
+};
+
+// Like parseDate, but a bare date means "up to the end of that day"
+const parseEndDate = (value) => {
+  const date = parseDate(value);
+  if (date && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// { $gte, $lte } condition from ?from= / ?to=, or null when neither is set
+const dateRange = (query) => {
+  const from = parseDate(query.from);
+  const to = parseEndDate(query.to);
+  if (!from && !to) return null;
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) range.$lte = to;
+  return range;
+};
+
+// Mongo filter for the donation request list endpoints
+const buildDonationRequestFilter = (query) => {
+  const filter = { ...NOT_DELETED };
+
+  if (DONATION_STATUSES.includes(query.status)) filter.status = query.status;
+
+  const bloodGroup = bloodGroupParam(query.bloodGroup);
+  if (BLOOD_GROUPS.includes(bloodGroup)) filter.bloodGroup = bloodGroup;
+
+  addLocationFilter(filter, query, REQUEST_LOCATION_FIELDS);
+
+  const createdAt = dateRange(query);
+  if (createdAt) filter.createdAt = createdAt;
+
+  if (query.search) {
+    const pattern = new RegExp(escapeRegex(textParam(query.search)), "i");
+    filter.$or = [{ recipientName: pattern }, { hospitalName: pattern }];
+  }
+
+  return filter;
+};
+
+// Public blood bank search, e.g. ?bloodGroup=O-&district=Dhaka&minUnits=2
+const buildBloodBankFilter = (query) => {
+  const filter = { ...NOT_DELETED };
+
+  addLocationFilter(filter, query, BLOOD_BANK_LOCATION_FIELDS);
+
+  const bloodGroup = bloodGroupParam(query.bloodGroup);
+  if (BLOOD_GROUPS.includes(bloodGroup)) {
+    const minUnits = Math.max(parseInt(query.minUnits) || 1, 1);
+    filter[`stock.${bloodGroup}`] = { $gte: minUnits };
+  }
+
+  if (query.search) {
+    filter.name = new RegExp(escapeRegex(textParam(query.search)), "i");
+  }
+
+  return filter;
+};
+
+// Admin funding list, e.g. ?campaignId=...&currency=bdt&from=2026-01-01
+const buildFundingFilter = (query) => {
+  const filter = { ...COUNTED_FUNDINGS };
+
+  if (ObjectId.isValid(query.campaignId)) {
+    filter.campaignId = new ObjectId(query.campaignId);
+  }
+  if (ALLOWED_CURRENCIES.includes(query.currency)) {
+    Object.assign(filter, currencyFilter(query.currency));
+  }
+
+  const createdAt = dateRange(query);
+  if (createdAt) filter.createdAt = createdAt;
+
+  return filter;
+};
+
+const buildAuditLogFilter = (query) => {
+  const filter = {};
+
+  if (query.actor) filter["actor.email"] = exactText(query.actor);
+  // "user.role" matches exactly, "user" matches every user.* action
+  if (query.action) {
+    filter.action = new RegExp(`^${escapeRegex(String(query.action))}(\\.|$)`);
+  }
+  if (query.targetType) filter["target.type"] = String(query.targetType);
+  if (query.targetId) filter["target.id"] = String(query.targetId);
+
+  const createdAt = dateRange(query);
+  if (createdAt) filter.createdAt = createdAt;
+
+  return filter;
+};
+
+module.exports = {
+  getPagination,
+  escapeRegex,
+  exactText,
+  parseDate,
+  parseEndDate,
+  buildUserFilter,
+  buildDonationRequestFilter,
+  buildBloodBankFilter,
+  buildFundingFilter,
+  buildAuditLogFilter,
+  bloodGroupParam,
+};
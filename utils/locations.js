@@ -0,0 +1,177 @@
+const { districts } = require("../data/bangladesh-locations.json");
+
+// "Cox's Bazar", "coxs-bazar" and "COXS BAZAR" all become "coxsbazar"
+const normalizeName = (text) =>
+  String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const namesOf = (place) => [place.id, place.name, ...(place.aliases || [])];
+
+const districtIndex = new Map();
+for (const district of districts) {
+  for (const name of namesOf(district)) {
+    districtIndex.set(normalizeName(name), district);
+  }
+  district.upazilaIndex = new Map();
+  for (const upazila of district.upazilas) {
+    for (const name of namesOf(upazila)) {
+      district.upazilaIndex.set(normalizeName(name), upazila);
+    }
+  }
+  // Plain "Sadar" means the district's own sadar upazila
+  const sadar = district.upazilaIndex.get(
+    normalizeName(`${district.name} Sadar`)
+  );
+  if (sadar) district.upazilaIndex.set("sadar", sadar);
+}
+
+// Looks up a district by canonical id, name or known spelling variant
+const findDistrict = (value) =>
+  value ? districtIndex.get(normalizeName(value)) || null : null;
+
+const findUpazila = (district, value) =>
+  district && value
+    ? district.upazilaIndex.get(normalizeName(value)) || null
+    : null;
+
+const listDistricts = (division) =>
+  districts
+    .filter(
+      (d) => !division || normalizeName(d.division) === normalizeName(division)
+    )
+    .map(({ id, name, division, lat, lon }) => ({
+      id,
+      name,
+      division,
+      lat,
+      lon,
+    }));
+
+const listUpazilas = (district) =>
+  district.upazilas.map(({ id, name, metro, lat, lon }) => ({
+    id,
+    name,
+    metro,
+    lat,
+    lon,
+  }));
+
+// Upazila coordinates when the dataset has them, otherwise the district's.
+// Takes ids or names, so documents saved before the ids existed still map.
+const coordinatesOf = (district, upazila) => {
+  const found = findDistrict(district);
+  if (!found) return null;
+  const place = findUpazila(found, upazila);
+  if (place?.lat !== undefined) return { lat: place.lat, lon: place.lon };
+  return { lat: found.lat, lon: found.lon };
+};
+
+const EARTH_RADIUS_KM = 6371;
+const toRadians = (deg) => (deg * Math.PI) / 180;
+
+// Great-circle distance in km, or null if either point is unknown
+const distanceKm = (a, b) => {
+  if (!a || !b) return null;
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) *
+      Math.cos(toRadians(b.lat)) *
+      Math.sin(dLon / 2) ** 2;
+  return Math.round(2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(h)) * 10) / 10;
+};
+
+// Resolves a free-text district/upazila pair to canonical entries.
+// Returns { district, upazila } or { error: { field, message } }.
+const resolveLocation = (districtValue, upazilaValue, fields) => {
+  const district = findDistrict(districtValue);
+  if (!district) {
+    return {
+      error: {
+        field: fields.district,
+        message: `${fields.district} is not a known district`,
+      },
+    };
+  }
+  const upazila = findUpazila(district, upazilaValue);
+  if (!upazila) {
+    return {
+      error: {
+        field: fields.upazila,
+        message: `${fields.upazila} is not an upazila of ${district.name}`,
+      },
+    };
+  }
+  return { district, upazila };
+};
+
+const USER_LOCATION_FIELDS = {
+  district: "district",
+  upazila: "upazila",
+  districtId: "districtId",
+  upazilaId: "upazilaId",
+};
+
+// Blood banks use the same field names as user profiles
+const BLOOD_BANK_LOCATION_FIELDS = USER_LOCATION_FIELDS;
+
+const REQUEST_LOCATION_FIELDS = {
+  district: "recipientDistrict",
+  upazila: "recipientUpazila",
+  districtId: "recipientDistrictId",
+  upazilaId: "recipientUpazilaId",
+};
+
+// The district and upazila are only ever set together
+const missingPairError = (districtValue, upazilaValue, fields) => {
+  if (districtValue && upazilaValue) return null;
+  const field = districtValue ? fields.upazila : fields.district;
+  const other = districtValue ? fields.district : fields.upazila;
+  return { field, message: `${field} is required when ${other} is set` };
+};
+
+// Express middleware, run after validateBody: checks the district/upazila
+// pair in req.body against the dataset, rewrites both to their canonical
+// names and adds the canonical ids. Answers 400 in the same shape as
+// validateBody.
+const validateLocation = (fields) => (req, res, next) => {
+  const districtValue = req.body[fields.district];
+  const upazilaValue = req.body[fields.upazila];
+  if (!districtValue && !upazilaValue) return next();
+
+  const pairError = missingPairError(districtValue, upazilaValue, fields);
+  const { district, upazila, error } = pairError
+    ? { error: pairError }
+    : resolveLocation(districtValue, upazilaValue, fields);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors: [error],
+    });
+  }
+
+  req.body[fields.district] = district.name;
+  req.body[fields.districtId] = district.id;
+  req.body[fields.upazila] = upazila.name;
+  req.body[fields.upazilaId] = upazila.id;
+  next();
+};
+
+module.exports = {
+  normalizeName,
+  namesOf,
+  findDistrict,
+  findUpazila,
+  listDistricts,
+  listUpazilas,
+  coordinatesOf,
+  distanceKm,
+  resolveLocation,
+  USER_LOCATION_FIELDS,
+  BLOOD_BANK_LOCATION_FIELDS,
+  REQUEST_LOCATION_FIELDS,
+  validateLocation,
+};
@@ -0,0 +1,100 @@
+const ROLES = ["admin", "volunteer", "donor"];
+const STAFF_ROLES = ["admin", "volunteer"];
+const USER_STATUSES = ["active", "blocked"];
+
+// Which roles may call each action. Routes that work on a single record add
+// an ownership check on top (see canManageRequest / canManageProfile).
+const PERMISSIONS = {
+  // users
+  "users:list": ["admin"],
+  "users:viewProfile": ROLES,
+  "users:updateProfile": ROLES,
+  "account:export": ROLES,
+  "account:delete": ROLES,
+  "users:update": ["admin"],
+  "users:changeStatus": ["admin"],
+  "users:changeRole": ["admin"],
+  "users:defer": ["admin"],
+  "users:delete": ["admin"],
+
+  // donation requests
+  "requests:create": ROLES,
+  "requests:list": ROLES,
+  "requests:listAll": STAFF_ROLES,
+  "requests:read": ROLES,
+  "requests:update": ROLES,
+  "requests:changeStatus": ROLES,
+  "requests:claim": ROLES,
+  "requests:matches": ROLES,
+  "requests:stream": ROLES,
+  "requests:delete": ROLES,
+
+  // blogs
+  "blogs:create": STAFF_ROLES,
+  "blogs:edit": STAFF_ROLES,
+  "blogs:viewDrafts": STAFF_ROLES,
+  "blogs:publish": ["admin"],
+  "blogs:delete": ["admin"],
+
+  // blood banks (stock updates are further limited to the bank's staff)
+  "bloodBanks:create": ["admin"],
+  "bloodBanks:update": ["admin"],
+  "bloodBanks:updateStock": ROLES,
+  "bloodBanks:delete": ["admin"],
+
+  // notifications
+  "notifications:read": ROLES,
+
+  // funding & stats
+  "fundings:create": ROLES,
+  "fundings:list": ROLES,
+  "fundings:analytics": ["admin"],
+  "subscriptions:manage": ROLES,
+  "campaigns:manage": ["admin"],
+  "stats:admin": ["admin"],
+  "stats:operations": STAFF_ROLES,
+
+  // audit & trash
+  "audit:read": ["admin"],
+  "data:export": ["admin"],
+  "data:import": ["admin"],
+  "trash:read": ["admin"],
+  "trash:restore": ["admin"],
+};
+
+// Users saved before roles existed are treated as donors
+const roleOf = (user) => (ROLES.includes(user?.role) ? user.role : "donor");
+
+const hasPermission = (user, action) =>
+  (PERMISSIONS[action] || []).includes(roleOf(user));
+
+const isStaff = (user) => STAFF_ROLES.includes(roleOf(user));
+
+const isAdmin = (user) => roleOf(user) === "admin";
+
+// Requesters manage their own requests and admins manage all of them.
+// Volunteers only count where the route allows it (e.g. not for deletes).
+const canManageRequest = (user, request, { allowVolunteer = true } = {}) =>
+  user.email === request.requesterEmail ||
+  isAdmin(user) ||
+  (allowVolunteer && isStaff(user));
+
+const canManageProfile = (user, email) => user.email === email || isAdmin(user);
+
+// A bank's stock is kept up to date by its own staff and by admins
+const canManageBloodBank = (user, bank) =>
+  isAdmin(user) || (bank.staffEmails || []).includes(user.email);
+
+module.exports = {
+  ROLES,
+  STAFF_ROLES,
+  USER_STATUSES,
+  PERMISSIONS,
+  roleOf,
+  hasPermission,
+  isStaff,
+  isAdmin,
+  canManageRequest,
+  canManageProfile,
+  canManageBloodBank,
+};
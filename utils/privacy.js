@@ -0,0 +1,121 @@
+const { isStaff } = require("./permissions");
+const { getEligibility } = require("./eligibility");
+
+// Who may see a profile:
+//   public  - every signed-in member, contact details included
+//   donors  - every signed-in member; email/phone only go to people the
+//             user shares a donation request with
+//   hidden  - only people the user shares a donation request with
+// The user themselves and staff always see everything.
+const PROFILE_VISIBILITIES = ["public", "donors", "hidden"];
+// Accounts that never picked a setting
+const DEFAULT_VISIBILITY = "donors";
+
+// What other members get of a profile besides the (masked) contact fields
+const PROFILE_FIELDS = [
+  "_id",
+  "name",
+  "avatar",
+  "bloodGroup",
+  "district",
+  "upazila",
+  "districtId",
+  "upazilaId",
+  "role",
+  "visibility",
+  "createdAt",
+];
+
+const visibilityOf = (user) =>
+  PROFILE_VISIBILITIES.includes(user.visibility)
+    ? user.visibility
+    : DEFAULT_VISIBILITY;
+
+// "rahim@gmail.com" -> "r***@gmail.com"
+const maskEmail = (email) => {
+  if (!email) return email || null;
+  const [local, domain] = email.split("@");
+  return domain ? `${local[0]}***@${domain}` : "***";
+};
+
+// "01711123456" -> "017*****456"
+const maskPhone = (phone) => {
+  if (!phone) return phone || null;
+  const hidden = Math.max(phone.length - 6, 0);
+  return `${phone.slice(0, 3)}${"*".repeat(hidden)}${phone.slice(-3)}`;
+};
+
+const seesEverything = (user, viewer) =>
+  !!viewer && (viewer.email === user.email || isStaff(viewer));
+
+// `connected` means the two share a donation request: one asked for
+// blood and the other claimed it
+const canSeeProfile = (user, viewer, connected = false) =>
+  seesEverything(user, viewer) || connected || visibilityOf(user) !== "hidden";
+
+const canSeeContact = (user, viewer, connected = false) =>
+  seesEverything(user, viewer) || connected || visibilityOf(user) === "public";
+
+const maskContact = (user) => ({
+  ...user,
+  email: maskEmail(user.email),
+  phone: maskPhone(user.phone),
+  contactMasked: true,
+});
+
+// The profile as `viewer` may see it, or null if it is hidden from them
+const profileFor = (user, viewer, connected = false) => {
+  if (seesEverything(user, viewer)) {
+    return { ...user, ...getEligibility(user) };
+  }
+  if (!canSeeProfile(user, viewer, connected)) return null;
+
+  const profile = Object.fromEntries(
+    PROFILE_FIELDS.map((field) => [field, user[field] ?? null])
+  );
+  profile.visibility = visibilityOf(user);
+  profile.eligible = getEligibility(user).eligible;
+  const contact = { email: user.email, phone: user.phone || null };
+  return canSeeContact(user, viewer, connected)
+    ? { ...profile, ...contact }
+    : maskContact({ ...profile, ...contact });
+};
+
+// Requester and donor emails are only for the two of them and staff, so a
+// donor sees the requester's contact once they have claimed the request.
+// The status history names whoever made each change, so its emails are
+// masked along with them.
+const requestFor = (request, viewer) => {
+  const involved =
+    isStaff(viewer) ||
+    viewer.email === request.requesterEmail ||
+    (!!request.donorEmail && viewer.email === request.donorEmail);
+  if (involved) return request;
+  return {
+    ...request,
+    requesterEmail: maskEmail(request.requesterEmail),
+    ...(request.donorEmail && { donorEmail: maskEmail(request.donorEmail) }),
+    contactMasked: true,
+    ...(request.statusHistory && {
+      statusHistory: request.statusHistory.map((entry) => ({
+        ...entry,
+        actor: entry.actor && {
+          ...entry.actor,
+          email: maskEmail(entry.actor.email),
+        },
+      })),
+    }),
+  };
+};
+
+module.exports = {
+  PROFILE_VISIBILITIES,
+  DEFAULT_VISIBILITY,
+  maskEmail,
+  maskPhone,
+  canSeeProfile,
+  canSeeContact,
+  maskContact,
+  profileFor,
+  requestFor,
+};
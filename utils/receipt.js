@@ -0,0 +1,74 @@
+const { LEGACY_CURRENCY } = require("./fundings");
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const formatMoney = (amount, currency) =>
+  new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: (currency || LEGACY_CURRENCY).toUpperCase(),
+  }).format(amount);
+
+// e.g. BB-2025-000042
+const formatReceiptNumber = (year, sequence) =>
+  `BB-${year}-${String(sequence).padStart(6, "0")}`;
+
+// Standalone HTML page the donor can print or save as PDF
+const renderReceiptHtml = (funding) => {
+  const paidAt = new Date(funding.paidAt || funding.createdAt);
+  const refunded = funding.amountRefunded || 0;
+  const rows = [
+    ["Receipt number", funding.receiptNumber],
+    ["Date", paidAt.toUTCString()],
+    ["Donor", funding.name || "Anonymous"],
+    ["Email", funding.email],
+    ["Amount", formatMoney(funding.amount, funding.currency)],
+  ];
+  if (refunded > 0) {
+    rows.push(["Refunded", formatMoney(refunded, funding.currency)]);
+  }
+  if (funding.paymentIntentId) {
+    rows.push(["Payment reference", funding.paymentIntentId]);
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <title>Blood Bridge receipt ${escapeHtml(funding.receiptNumber)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; max-width: 560px; margin: 40px auto; color: #222; }
+    h1 { color: #b91c1c; font-size: 22px; }
+    table { width: 100%; border-collapse: collapse; }
+    td { padding: 8px 0; border-bottom: 1px solid #eee; }
+    td:first-child { color: #666; }
+    footer { margin-top: 24px; font-size: 13px; color: #666; }
+  </style>
+</head>
+<body>
+  <h1>🩸 Blood Bridge — Donation Receipt</h1>
+  <table>
+${rows
+  .map(
+    ([label, value]) =>
+      `    <tr><td>${escapeHtml(label)}</td><td>${escapeHtml(value)}</td></tr>`
+  )
+  .join("\n")}
+  </table>
+  <footer>Thank you for supporting Blood Bridge.</footer>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  escapeHtml,
+  formatMoney,
+  formatReceiptNumber,
+  renderReceiptHtml,
+};
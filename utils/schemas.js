@@ -0,0 +1,255 @@
+const { BLOOD_GROUPS, normalizeBloodGroup } = require("./donorMatching");
+const { DONATION_STATUSES } = require("./donationStatus");
+const { DONATION_TYPES } = require("./eligibility");
+const { ROLES, USER_STATUSES } = require("./permissions");
+const { ALLOWED_CURRENCIES } = require("./fundings");
+const { PROFILE_VISIBILITIES } = require("./privacy");
+
+const BLOG_STATUSES = ["draft", "published"];
+
+const bloodGroup = {
+  type: "string",
+  enum: BLOOD_GROUPS,
+  normalize: normalizeBloodGroup,
+};
+
+const currency = {
+  type: "string",
+  enum: ALLOWED_CURRENCIES,
+  normalize: (value) => String(value).toLowerCase(),
+};
+const place = { type: "string", maxLength: 100 };
+const objectId = (label) => ({
+  type: "string",
+  pattern: /^[a-f\d]{24}$/i,
+  patternMessage: `must be a ${label} id`,
+});
+
+// -------- users --------
+const profileFields = {
+  name: { type: "string", maxLength: 100 },
+  avatar: { type: "url" },
+  phone: {
+    type: "string",
+    pattern: /^(\+?88)?01[3-9]\d{8}$/,
+    patternMessage: "must be a Bangladeshi mobile number",
+  },
+  bloodGroup,
+  district: place,
+  upazila: place,
+  visibility: { type: "string", enum: PROFILE_VISIBILITIES },
+};
+
+const userSchema = {
+  uid: { type: "string", required: true, updatable: false },
+  email: { type: "email", required: true, updatable: false },
+  ...profileFields,
+};
+
+// DELETE /me can't be undone, so the client has to spell it out
+const accountDeletionSchema = {
+  confirm: { type: "string", required: true, enum: ["DELETE"] },
+};
+
+// One row of a donor sign-up sheet imported by an admin
+const donorImportSchema = {
+  email: {
+    type: "email",
+    required: true,
+    normalize: (value) => String(value).toLowerCase(),
+  },
+  name: { ...profileFields.name, required: true },
+  // Sheets often write numbers as 01711-123456
+  phone: {
+    ...profileFields.phone,
+    normalize: (value) => String(value).replace(/[\s-]/g, ""),
+  },
+  bloodGroup: { ...bloodGroup, required: true },
+  district: { ...place, required: true },
+  upazila: { ...place, required: true },
+  lastDonationDate: { type: "date" },
+};
+
+// What an admin may change on someone else's account
+const adminUserUpdateSchema = {
+  ...profileFields,
+  role: { type: "string", enum: ROLES },
+  status: { type: "string", enum: USER_STATUSES },
+};
+
+const userStatusSchema = {
+  status: { type: "string", enum: USER_STATUSES, required: true },
+};
+
+const userRoleSchema = {
+  role: { type: "string", enum: ROLES, required: true },
+};
+
+// Bulk changes take 1 to 100 user ids; repeats are dropped
+const bulkUserIds = {
+  type: "array",
+  required: true,
+  minLength: 1,
+  maxLength: 100,
+  items: objectId("user"),
+  normalize: (value) => (Array.isArray(value) ? [...new Set(value)] : value),
+};
+
+const bulkUserStatusSchema = { ids: bulkUserIds, ...userStatusSchema };
+
+const bulkUserRoleSchema = { ids: bulkUserIds, ...userRoleSchema };
+
+const deferralSchema = {
+  reason: { type: "string", required: true, maxLength: 300 },
+  until: { type: "date", required: true },
+};
+
+// -------- donation requests --------
+const donationRequestSchema = {
+  requesterName: { type: "string", maxLength: 100 },
+  recipientName: { type: "string", required: true, maxLength: 100 },
+  bloodGroup: { ...bloodGroup, required: true },
+  recipientDistrict: { ...place, required: true },
+  recipientUpazila: { ...place, required: true },
+  hospitalName: { type: "string", required: true, maxLength: 200 },
+  fullAddress: { type: "string", required: true, maxLength: 300 },
+  donationDate: { type: "date", required: true },
+  donationTime: {
+    type: "string",
+    required: true,
+    pattern: /^([01]\d|2[0-3]):[0-5]\d$/,
+    patternMessage: "must be a time like 14:30",
+  },
+  donationType: { type: "string", enum: DONATION_TYPES },
+  urgent: { type: "boolean" },
+  requestMessage: { type: "string", maxLength: 1000 },
+};
+
+// PUT accepts the same fields plus an optional status change
+const donationRequestUpdateSchema = {
+  ...donationRequestSchema,
+  status: { type: "string", enum: DONATION_STATUSES },
+  note: { type: "string", maxLength: 500 },
+};
+
+const requestNote = { type: "string", maxLength: 500 };
+
+const donationStatusSchema = {
+  status: { type: "string", enum: DONATION_STATUSES, required: true },
+  note: requestNote,
+};
+
+// Claiming or releasing a request: the status follows from the route
+const requestNoteSchema = { note: requestNote };
+
+// -------- blood banks --------
+const bloodBankSchema = {
+  name: { type: "string", required: true, maxLength: 150 },
+  district: { ...place, required: true },
+  upazila: { ...place, required: true },
+  address: { type: "string", required: true, maxLength: 300 },
+  // Hospitals list landlines too, so anything that looks like a number
+  phone: {
+    type: "string",
+    required: true,
+    pattern: /^\+?[\d\s-]{6,20}$/,
+    patternMessage: "must be a phone number",
+  },
+  email: { type: "email" },
+  website: { type: "url" },
+  openingHours: { type: "string", maxLength: 100 },
+  staffEmails: { type: "array", items: { type: "email" } },
+};
+
+// PATCH /blood-banks/:id/stock: { "O-": 4, "A+": 12 }, units on hand
+const bloodBankStockSchema = Object.fromEntries(
+  BLOOD_GROUPS.map((group) => [
+    group,
+    { type: "number", integer: true, min: 0, max: 100000 },
+  ])
+);
+
+// -------- blogs --------
+const blogSchema = {
+  title: { type: "string", required: true, maxLength: 200 },
+  slug: {
+    type: "string",
+    maxLength: 80,
+    // Lowercase letters of any script, e.g. "রক্তদান-কেন"
+    pattern: /^[\p{Ll}\p{Lo}\p{M}\p{N}]+(-[\p{Ll}\p{Lo}\p{M}\p{N}]+)*$/u,
+    patternMessage: "may only contain lowercase letters, digits and dashes",
+  },
+  thumbnail: { type: "url" },
+  content: { type: "string", required: true },
+  tags: {
+    type: "array",
+    items: { type: "string", minLength: 1, maxLength: 30 },
+  },
+  publishAt: { type: "date" },
+};
+
+const blogStatusSchema = {
+  status: { type: "string", enum: BLOG_STATUSES, required: true },
+  publishAt: { type: "date" },
+};
+
+// -------- fundings --------
+// Amount limits depend on the currency; routes check them with checkAmount
+const paymentIntentSchema = {
+  amount: { type: "number", required: true },
+  currency,
+  name: { type: "string", maxLength: 100 },
+  campaignId: objectId("campaign"),
+};
+
+// Monthly donations always go to the general fund
+const subscriptionSchema = {
+  amount: { type: "number", required: true },
+  currency,
+  name: { type: "string", maxLength: 100 },
+};
+
+const campaignSchema = {
+  title: { type: "string", required: true, maxLength: 150 },
+  description: { type: "string", required: true, maxLength: 5000 },
+  goalAmount: { type: "number", required: true, min: 1, max: 10000000 },
+  // Fundings are already counted in it, so it is fixed at creation
+  currency: { ...currency, updatable: false },
+  deadline: { type: "date", required: true },
+  coverImage: { type: "url" },
+};
+
+const fundingSchema = {
+  paymentIntentId: {
+    type: "string",
+    required: true,
+    pattern: /^pi_\w+$/,
+    patternMessage: "must be a Stripe payment intent id",
+  },
+  name: { type: "string", maxLength: 100 },
+};
+
+module.exports = {
+  BLOG_STATUSES,
+  userSchema,
+  accountDeletionSchema,
+  donorImportSchema,
+  adminUserUpdateSchema,
+  userStatusSchema,
+  userRoleSchema,
+  bulkUserStatusSchema,
+  bulkUserRoleSchema,
+  deferralSchema,
+  donationRequestSchema,
+  donationRequestUpdateSchema,
+  donationStatusSchema,
+  requestNoteSchema,
+  bloodBankSchema,
+  bloodBankStockSchema,
+  blogSchema,
+  blogStatusSchema,
+  paymentIntentSchema,
+  subscriptionSchema,
+  campaignSchema,
+  fundingSchema,
+};
@@ -0,0 +1,39 @@
+// Deleted documents stay in their collection with deletedAt / deletedBy set.
+// `deletedAt: null` also matches documents that never had the field.
+const NOT_DELETED = { deletedAt: null };
+// Accounts deleted by their owner (DELETE /me) are anonymized instead: they
+// are never listed, restored or purged as trash
+const NOT_ANONYMIZED = { anonymizedAt: null };
+const IN_TRASH = { deletedAt: { $type: "date" }, ...NOT_ANONYMIZED };
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Days an item stays in the trash before the purge job removes it
+const trashRetentionDays = () =>
+  parseInt(process.env.TRASH_RETENTION_DAYS) || DEFAULT_RETENTION_DAYS;
+
+const notDeleted = (filter = {}) => ({ ...filter, ...NOT_DELETED });
+
+const softDeleteUpdate = (actor) => ({
+  $set: {
+    deletedAt: new Date(),
+    deletedBy: actor?.email || null,
+    updatedAt: new Date(),
+  },
+});
+
+const restoreUpdate = () => ({
+  $unset: { deletedAt: "", deletedBy: "" },
+  $set: { updatedAt: new Date() },
+});
+
+module.exports = {
+  NOT_DELETED,
+  NOT_ANONYMIZED,
+  IN_TRASH,
+  DEFAULT_RETENTION_DAYS,
+  trashRetentionDays,
+  notDeleted,
+  softDeleteUpdate,
+  restoreUpdate,
+};
@@ -0,0 +1,137 @@
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isValidUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch {
+    return false;
+  }
+};
+
+// One check per declared type; each returns an error message or null
+const TYPE_CHECKS = {
+  string: (value) => (typeof value === "string" ? null : "must be a string"),
+  number: (value) =>
+    typeof value === "number" && Number.isFinite(value)
+      ? null
+      : "must be a number",
+  boolean: (value) =>
+    typeof value === "boolean" ? null : "must be true or false",
+  email: (value) =>
+    typeof value === "string" && EMAIL_PATTERN.test(value)
+      ? null
+      : "must be a valid email address",
+  url: (value) =>
+    typeof value === "string" && isValidUrl(value)
+      ? null
+      : "must be a valid http(s) URL",
+  date: (value) =>
+    typeof value === "string" && !isNaN(new Date(value))
+      ? null
+      : "must be a valid date",
+  array: (value) => (Array.isArray(value) ? null : "must be a list"),
+};
+
+const checkField = (rule, value) => {
+  const typeError = TYPE_CHECKS[rule.type](value);
+  if (typeError) return typeError;
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of: ${rule.enum.join(", ")}`;
+  }
+  // On lists, minLength and maxLength count the items
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return Array.isArray(value)
+      ? `must list at least ${rule.minLength} item${
+          rule.minLength === 1 ? "" : "s"
+        }`
+      : `must be at least ${rule.minLength} characters`;
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return Array.isArray(value)
+      ? `must list at most ${rule.maxLength} item${
+          rule.maxLength === 1 ? "" : "s"
+        }`
+      : `must be at most ${rule.maxLength} characters`;
+  }
+  if (rule.integer && !Number.isInteger(value)) {
+    return "must be a whole number";
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return `must be at least ${rule.min}`;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return `must be at most ${rule.max}`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return rule.patternMessage || "has an invalid format";
+  }
+  if (rule.items) {
+    const badItem = value.find((item) => checkField(rule.items, item));
+    if (badItem !== undefined) {
+      return `contains an invalid item: ${checkField(rule.items, badItem)}`;
+    }
+  }
+  return null;
+};
+
+// Checks a request body against a schema and returns the cleaned value plus
+// a list of { field, message } errors. Fields the schema does not declare
+// are dropped. With partial = true (updates) required fields may be left
+// out and fields marked updatable: false are dropped as well.
+const validate = (schema, body, { partial = false } = {}) => {
+  const value = {};
+  const errors = [];
+  const input = body && typeof body === "object" ? body : {};
+
+  for (const [field, rule] of Object.entries(schema)) {
+    if (partial && rule.updatable === false) continue;
+
+    let fieldValue = input[field];
+    if (typeof fieldValue === "string" && rule.type !== "array") {
+      fieldValue = fieldValue.trim();
+    }
+    if (rule.normalize && fieldValue !== undefined && fieldValue !== null) {
+      fieldValue = rule.normalize(fieldValue);
+    }
+
+    const missing =
+      fieldValue === undefined || fieldValue === null || fieldValue === "";
+    if (missing) {
+      if (rule.required && !partial) {
+        errors.push({ field, message: `${field} is required` });
+      }
+      continue;
+    }
+
+    const message = checkField(rule, fieldValue);
+    if (message) {
+      errors.push({ field, message: `${field} ${message}` });
+    } else {
+      value[field] = fieldValue;
+    }
+  }
+
+  return { value, errors };
+};
+
+// Express middleware: replaces req.body with the validated value or answers
+// 400 with every failing field.
+const validateBody = (schema, options) => (req, res, next) => {
+  const { value, errors } = validate(schema, req.body, options);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: "Validation failed",
+      errors,
+    });
+  }
+  req.body = value;
+  next();
+};
+
+module.exports = {
+  validate,
+  validateBody,
+};